@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ask_question } from './utils.js';
+import { findSessionFile } from './sessions.js';
+import { PLACEHOLDER_REGEX } from './secrets.js';
+import { PromptFileError } from './errors.js';
+
+const BACKUP_DIR = path.join('.gb9k', 'backups');
+const DIFF_CONTEXT_LINES = 3;
+const MAX_DIFF_CELLS = 4000000; // Above this the LCS table gets too large; fall back to a full replace diff
+
+const BLOCK_HEADER_REGEX = /^(`{3,})(\S+)\s+<(REWRITE|MODIFICATION)>\s*$/;
+const SEARCH_MARKER_REGEX = /^<{7} SEARCH\s*$/;
+const DIVIDER_MARKER_REGEX = /^={7}\s*$/;
+const REPLACE_MARKER_REGEX = /^>{7} REPLACE\s*$/;
+
+// Returns the text of the last ### LLM section, or null if there is none
+export function getLastResponse(content) {
+  const index = content.lastIndexOf('### LLM\n');
+  if (index === -1) {
+    return null;
+  }
+  const response = content.slice(index + '### LLM\n'.length);
+  const userIndex = response.search(/^### User\n/m);
+  return userIndex === -1 ? response : response.slice(0, userIndex);
+}
+
+// Finds blocks opened with ```path <OPERATION> and closed by a fence of the same length
+export function parseCodeBlocks(text) {
+  const lines = text.split('\n');
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(BLOCK_HEADER_REGEX);
+    if (!header) {
+      continue;
+    }
+
+    const [, fence, filePath, operation] = header;
+    const body = [];
+    let closed = false;
+    for (i++; i < lines.length; i++) {
+      if (lines[i].trimEnd() === fence) {
+        closed = true;
+        break;
+      }
+      body.push(lines[i]);
+    }
+    blocks.push({ filePath, operation, content: body.join('\n'), closed });
+  }
+
+  return blocks;
+}
+
+// Parses <<<<<<< SEARCH / ======= / >>>>>>> REPLACE hunks from a MODIFICATION block
+export function parseHunks(content) {
+  const hunks = [];
+  let current = null;
+  let section = null;
+
+  for (const line of content.split('\n')) {
+    if (SEARCH_MARKER_REGEX.test(line)) {
+      if (current) {
+        throw new Error(`Hunk ${hunks.length + 1} is missing its ${section === 'search' ? '=======' : '>>>>>>> REPLACE'} line`);
+      }
+      current = { search: [], replace: [] };
+      section = 'search';
+    } else if (current && section === 'search' && DIVIDER_MARKER_REGEX.test(line)) {
+      section = 'replace';
+    } else if (current && section === 'replace' && REPLACE_MARKER_REGEX.test(line)) {
+      hunks.push({ search: current.search.join('\n'), replace: current.replace.join('\n') });
+      current = null;
+      section = null;
+    } else if (current) {
+      current[section].push(line);
+    }
+  }
+
+  if (current) {
+    throw new Error(`Hunk ${hunks.length + 1} is not terminated with >>>>>>> REPLACE`);
+  }
+  if (hunks.length === 0) {
+    throw new Error('No SEARCH/REPLACE hunks found');
+  }
+  return hunks;
+}
+
+// Positions where search occurs aligned to whole lines
+function findLineMatches(content, search) {
+  const matches = [];
+  let index = content.indexOf(search);
+  while (index !== -1) {
+    const startsLine = index === 0 || content[index - 1] === '\n';
+    const end = index + search.length;
+    const endsLine = end === content.length || content[end] === '\n';
+    if (startsLine && endsLine) {
+      matches.push(index);
+    }
+    index = content.indexOf(search, index + 1);
+  }
+  return matches;
+}
+
+// Applies hunks in order; failed hunks are reported and leave the content untouched
+export function applyHunks(original, hunks) {
+  let content = original;
+  const results = hunks.map((hunk, index) => {
+    const number = index + 1;
+    if (hunk.search === '') {
+      if (content !== '') {
+        return { number, ok: false, reason: 'empty SEARCH section is only allowed when creating a file' };
+      }
+      content = hunk.replace + '\n';
+      return { number, ok: true };
+    }
+
+    const matches = findLineMatches(content, hunk.search);
+    if (matches.length === 0) {
+      return { number, ok: false, reason: 'SEARCH lines not found in file' };
+    }
+    if (matches.length > 1) {
+      return { number, ok: false, reason: `SEARCH lines match ${matches.length} locations` };
+    }
+
+    const [start] = matches;
+    content = content.slice(0, start) + hunk.replace + content.slice(start + hunk.search.length);
+    return { number, ok: true };
+  });
+
+  return { content, results };
+}
+
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+  }
+
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i++] });
+  while (j < m) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: ' ', line })),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(line => ({ type: ' ', line })),
+  ];
+}
+
+export function createUnifiedDiff(oldText, newText, fromFile, toFile) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  const oldLineNumbers = [];
+  const newLineNumbers = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    oldLineNumbers.push(oldLine);
+    newLineNumbers.push(newLine);
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (let k = 0; k < changed.length; k++) {
+    const start = Math.max(0, changed[k] - DIFF_CONTEXT_LINES);
+    let end = changed[k];
+    while (k + 1 < changed.length && changed[k + 1] - end <= DIFF_CONTEXT_LINES * 2) {
+      end = changed[++k];
+    }
+    end = Math.min(ops.length - 1, end + DIFF_CONTEXT_LINES);
+
+    const slice = ops.slice(start, end + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? oldLineNumbers[start] : oldLineNumbers[start] - 1;
+    const newStart = newCount ? newLineNumbers[start] : newLineNumbers[start] - 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    output.push(...slice.map(op => op.type + op.line));
+  }
+
+  return output.join('\n');
+}
+
+function countPlaceholders(text) {
+  return text.match(PLACEHOLDER_REGEX)?.length ?? 0;
+}
+
+async function readOriginal(fullPath) {
+  try {
+    return await fs.readFile(fullPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Folds every block into one pending change per file, in response order
+export async function planChanges(blocks, root = process.cwd()) {
+  const changes = new Map();
+
+  for (const block of blocks) {
+    const fullPath = path.resolve(root, block.filePath);
+    const relativePath = path.relative(root, fullPath);
+
+    let change = changes.get(fullPath);
+    if (!change) {
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        changes.set(fullPath, { relativePath: block.filePath, fullPath, errors: ['Path is outside the project directory'] });
+        continue;
+      }
+      const original = await readOriginal(fullPath);
+      const crlf = original !== null && original.includes('\r\n');
+      const normalized = original === null ? '' : original.replace(/\r\n/g, '\n');
+      change = { relativePath, fullPath, original, crlf, updated: normalized, errors: [], blocks: 0 };
+      changes.set(fullPath, change);
+    }
+    if (change.original === undefined) {
+      continue;
+    }
+    change.blocks++;
+
+    if (!block.closed) {
+      change.errors.push(`${block.operation} block is not closed; the response may be truncated`);
+      continue;
+    }
+
+    if (block.operation === 'REWRITE') {
+      change.updated = block.content === '' ? '' : block.content.replace(/\n*$/, '\n');
+      continue;
+    }
+
+    const label = `Block ${change.blocks}`;
+    let hunks;
+    try {
+      hunks = parseHunks(block.content);
+    } catch (error) {
+      change.errors.push(`${label}: ${error.message}`);
+      continue;
+    }
+    const { content, results } = applyHunks(change.updated, hunks);
+    change.updated = content;
+    for (const result of results.filter(r => !r.ok)) {
+      change.errors.push(`${label}, hunk ${result.number}: ${result.reason}`);
+    }
+  }
+
+  for (const change of changes.values()) {
+    if (change.original === undefined) {
+      change.diff = '';
+      continue;
+    }
+    const from = change.original === null ? '/dev/null' : `a/${change.relativePath}`;
+    const normalizedOriginal = change.original === null ? '' : change.original.replace(/\r\n/g, '\n');
+    // The model only saw placeholders for secrets; writing them back would replace the real values
+    const placeholders = countPlaceholders(change.updated) - countPlaceholders(normalizedOriginal);
+    if (placeholders > 0) {
+      change.errors.push(`Adds ${placeholders} [REDACTED:...] placeholder(s), which stand in for secrets the model never saw; put the real values in before applying`);
+    }
+    change.diff = createUnifiedDiff(normalizedOriginal, change.updated, from, `b/${change.relativePath}`);
+    if (change.crlf) {
+      change.updated = change.updated.replace(/\n/g, '\r\n');
+    }
+  }
+
+  return Array.from(changes.values());
+}
+
+async function writeChange(change, backupRoot) {
+  if (change.original !== null) {
+    const backupPath = path.join(backupRoot, change.relativePath);
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.writeFile(backupPath, change.original);
+  }
+  await fs.mkdir(path.dirname(change.fullPath), { recursive: true });
+  await fs.writeFile(change.fullPath, change.updated);
+}
+
+// rl lets an open readline interface (such as the chat prompt) answer the questions. Returns the
+// relative paths of the applied and skipped files, and of the files with failed blocks or hunks.
+// Throws when the session can't be found, or PromptFileError when it has no answer yet.
+export async function applyResponse({ sessionName = null, assumeYes = false, rl = null } = {}) {
+  const promptFile = await findSessionFile(sessionName);
+  const response = getLastResponse(await fs.readFile(promptFile, 'utf8'));
+  if (!response) {
+    throw new PromptFileError('No ### LLM section found in the prompt file.');
+  }
+
+  const blocks = parseCodeBlocks(response);
+  if (blocks.length === 0) {
+    console.log('No file blocks found in the last LLM response.');
+    return { applied: [], skipped: [], failed: [] };
+  }
+
+  const changes = await planChanges(blocks);
+  const backupRoot = path.join(process.cwd(), BACKUP_DIR, new Date().toISOString().replace(/[:.]/g, '-'));
+  const applied = [];
+  const skipped = [];
+  let applyAll = assumeYes;
+
+  for (const change of changes) {
+    console.log(`\n=== ${change.relativePath}${change.original === null ? ' (new file)' : ''}`);
+    if (change.diff) {
+      console.log(change.diff);
+    } else if (change.errors.length === 0) {
+      console.log('No changes');
+      continue;
+    }
+
+    if (change.errors.length > 0) {
+      console.log('\nFailed:');
+      change.errors.forEach(error => console.log(`- ${error}`));
+    }
+
+    // Partially applied files always need an explicit answer
+    let apply;
+    if (!change.diff || (assumeYes && change.errors.length > 0)) {
+      apply = false;
+    } else if (applyAll && change.errors.length === 0) {
+      apply = true;
+    } else {
+      const answer = (await ask_question(`Apply changes to ${change.relativePath}? (y)es/(n)o/(a)ll/(q)uit:`, ['y', 'n', 'a', 'q'], rl)).toLowerCase();
+      if (answer === 'q') {
+        skipped.push(change);
+        break;
+      }
+      applyAll = answer === 'a';
+      apply = answer === 'y' || applyAll;
+    }
+
+    if (apply) {
+      await writeChange(change, backupRoot);
+      applied.push(change);
+    } else {
+      skipped.push(change);
+    }
+  }
+
+  console.log('\nApply summary:');
+  applied.forEach(change => console.log(`- applied ${change.relativePath}`));
+  skipped.forEach(change => console.log(`- skipped ${change.relativePath}${change.errors.length ? ` (${change.errors.length} failed)` : ''}`));
+  if (applied.some(change => change.original !== null)) {
+    console.log(`Originals backed up to ${path.relative(process.cwd(), backupRoot)}`);
+  }
+
+  const paths = (list) => list.map(change => change.relativePath);
+  return { applied: paths(applied), skipped: paths(skipped), failed: paths(changes.filter(change => change.errors.length > 0)) };
+}
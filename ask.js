@@ -0,0 +1,101 @@
+import { loadConfig } from './config.js';
+import { createRun } from './run.js';
+import { parseSelectorArgs, namesContext, collectFiles } from './context.js';
+import { contextLabel } from './outline.js';
+import { describeToolCall } from './tools.js';
+import { Gb9kError } from './errors.js';
+
+// Exit codes scripts can tell apart, by error code
+export const ASK_EXIT_CODES = {
+  error: 1, usage: 2, model: 2, config: 2, auth: 3, api: 4, context: 5, interrupted: 130,
+};
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function exitReasonFor(error) {
+  return error instanceof Gb9kError && error.code in ASK_EXIT_CODES ? error.code : 'error';
+}
+
+// The question is the first argument, or stdin when that is - or missing. Only the named paths and
+// selectors become context; without any, the question is sent alone.
+async function askQuestion(args, { json, fit, force }) {
+  const [first, ...rest] = args;
+  const fromStdin = first === undefined || first === '-' || first.startsWith('--');
+  if (fromStdin && process.stdin.isTTY) {
+    throw new Gb9kError('Usage: gb9k ask "question" [options] [paths...], or pipe the question to gb9k ask', { code: 'usage' });
+  }
+  const question = (fromStdin ? await readStdin() : first).trim();
+  if (!question) {
+    throw new Gb9kError('The question is empty.', { code: 'usage' });
+  }
+  const selectorArgs = fromStdin && first !== '-' ? args : rest;
+
+  const config = await loadConfig();
+  const { selection } = await parseSelectorArgs(selectorArgs, config);
+  const { files, attachments } = namesContext(selectorArgs) ? await collectFiles(selection, config) : { files: [], attachments: [] };
+
+  // Tool calls and their results, which a prompt file records in the answer, go to stderr
+  const run = createRun({ messages: [{ role: 'user', content: question }], files, attachments, config, fit, force });
+  let separate = false;
+  let printed = false;
+  run.on('token', (content) => {
+    if (!json) {
+      process.stdout.write(`${separate && printed ? '\n\n' : ''}${content}`);
+    }
+    separate = false;
+    printed = true;
+  });
+  run.on('toolCall', (call) => {
+    separate = true;
+    console.error(`Tool call: ${describeToolCall(call)}`);
+  });
+  run.on('warning', (message) => console.warn(message));
+  process.once('SIGINT', run.abort);
+  try {
+    return { ...await run.result, files: [...files.map(contextLabel), ...attachments.map(file => file.relativePath)] };
+  } finally {
+    process.removeListener('SIGINT', run.abort);
+  }
+}
+
+// Streams the answer to stdout and usage to stderr, or with json prints one JSON object; exits
+// with one of ASK_EXIT_CODES
+export async function ask(args) {
+  const json = args.includes('--json');
+  const flags = ['--json', '--fit', '--force'];
+  const options = { json, fit: args.includes('--fit'), force: args.includes('--force') };
+
+  let result;
+  try {
+    result = await askQuestion(args.filter(arg => !flags.includes(arg)), options);
+  } catch (error) {
+    const reason = exitReasonFor(error);
+    console.error(error.message);
+    if (json) {
+      console.log(JSON.stringify({ error: { reason, message: error.message } }, null, 2));
+    }
+    process.exit(ASK_EXIT_CODES[reason]);
+  }
+
+  const { model, responseText: answer, files, promptTokens, completionTokens, pricing, durationMs, interrupted, cached } = result;
+  const cost = pricing ? pricing.totalCost : null;
+  if (json) {
+    console.log(JSON.stringify({ model, answer, files, promptTokens, completionTokens, cost, durationMs, interrupted, cached }, null, 2));
+  } else {
+    if (answer && !answer.endsWith('\n')) {
+      process.stdout.write('\n');
+    }
+    const costText = cost === null ? 'unknown cost' : `$${cost.toFixed(4)}`;
+    console.error(`${model}: ${promptTokens.toLocaleString()} input + ${completionTokens.toLocaleString()} output tokens, ` +
+      `${costText}, ${(durationMs / 1000).toFixed(1)}s${interrupted ? ' (interrupted)' : ''}${cached ? ' (from the response cache)' : ''}`);
+  }
+  if (interrupted) {
+    process.exit(ASK_EXIT_CODES.interrupted);
+  }
+}
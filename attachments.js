@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { formatSize } from './read.js';
+
+const ATTACHMENT_TYPES = {
+  '.png': { kind: 'image', mediaType: 'image/png' },
+  '.jpg': { kind: 'image', mediaType: 'image/jpeg' },
+  '.jpeg': { kind: 'image', mediaType: 'image/jpeg' },
+  '.webp': { kind: 'image', mediaType: 'image/webp' },
+  '.pdf': { kind: 'pdf', mediaType: 'application/pdf' },
+};
+
+// The strictest limits among the vision APIs gb9k talks to. Providers scale images down so their
+// longer side fits SCALED_IMAGE_EDGE, which caps what an image costs.
+export const ATTACHMENT_LIMITS = {
+  imageBytes: 5 * 1024 * 1024,
+  imageEdge: 8000,
+  pdfBytes: 32 * 1024 * 1024,
+  pdfPages: 100,
+};
+const SCALED_IMAGE_EDGE = 1568;
+const PIXELS_PER_TOKEN = 750;
+const TOKENS_PER_PDF_PAGE = 1500; // Its text plus an image of the page, roughly
+
+export function isAttachment(file) {
+  return path.extname(file).toLowerCase() in ATTACHMENT_TYPES;
+}
+
+// SOF markers carry the frame size; C4, C8 and CC share the range but are other segments
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+    } else if (marker >= 0xd0 && marker <= 0xd9) {
+      offset += 2;
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+// The pixel size from the file header, or null when the header isn't recognized
+function imageSize(buffer, mediaType) {
+  try {
+    if (mediaType === 'image/png' && buffer.toString('latin1', 12, 16) === 'IHDR') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mediaType === 'image/jpeg' && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return jpegSize(buffer);
+    }
+    if (mediaType === 'image/webp' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      return webpSize(buffer);
+    }
+  } catch (error) {
+    // A truncated header reads past the end of the buffer
+  }
+  return null;
+}
+
+// Page objects are usually plain text; PDFs that compress them into object streams count as unknown
+function pdfPageCount(buffer) {
+  return buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g)?.length || null;
+}
+
+function scaledSize({ width, height }) {
+  const scale = Math.min(1, SCALED_IMAGE_EDGE / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function estimateTokens(attachment) {
+  if (attachment.kind === 'pdf') {
+    return (attachment.pages || 1) * TOKENS_PER_PDF_PAGE;
+  }
+  const { width, height } = attachment.width ? scaledSize(attachment) : { width: SCALED_IMAGE_EDGE, height: SCALED_IMAGE_EDGE };
+  return Math.ceil((width * height) / PIXELS_PER_TOKEN);
+}
+
+// Reads images and PDFs to send as attachments. Returns { fullPath, relativePath, attachment }
+// entries, where attachment holds kind (image or pdf), mediaType, the base64 data, size, width and
+// height or pages where known, and estimated tokens; files over ATTACHMENT_LIMITS are skipped.
+export async function readAttachments(fullPaths, { root = process.cwd() } = {}) {
+  const attachments = [];
+  const skipped = [];
+  for (const fullPath of fullPaths) {
+    const relativePath = path.relative(root, fullPath);
+    const { kind, mediaType } = ATTACHMENT_TYPES[path.extname(fullPath).toLowerCase()];
+    let buffer;
+    try {
+      buffer = await fs.readFile(fullPath);
+    } catch (error) {
+      skipped.push({ relativePath, reason: `unreadable (${error.message})` });
+      continue;
+    }
+
+    const attachment = { kind, mediaType, size: buffer.length };
+    const maxBytes = kind === 'pdf' ? ATTACHMENT_LIMITS.pdfBytes : ATTACHMENT_LIMITS.imageBytes;
+    if (buffer.length > maxBytes) {
+      skipped.push({ relativePath, reason: `${formatSize(buffer.length)}, over the ${formatSize(maxBytes)} limit for ${kind === 'pdf' ? 'PDFs' : 'images'}` });
+      continue;
+    }
+    if (kind === 'pdf') {
+      attachment.pages = pdfPageCount(buffer);
+      if (attachment.pages > ATTACHMENT_LIMITS.pdfPages) {
+        skipped.push({ relativePath, reason: `${attachment.pages} pages, over the ${ATTACHMENT_LIMITS.pdfPages}-page limit for PDFs` });
+        continue;
+      }
+    } else {
+      Object.assign(attachment, imageSize(buffer, mediaType) ?? { width: null, height: null });
+      if (Math.max(attachment.width, attachment.height) > ATTACHMENT_LIMITS.imageEdge) {
+        skipped.push({ relativePath, reason: `${attachment.width}×${attachment.height}, over the ${ATTACHMENT_LIMITS.imageEdge} px limit for images` });
+        continue;
+      }
+    }
+    attachment.tokens = estimateTokens(attachment);
+    attachment.data = buffer.toString('base64');
+    attachments.push({ fullPath, relativePath, attachment });
+  }
+  return { attachments, skipped };
+}
+
+// e.g. "image, 2400×1350 scaled to 1568×882, 412.3 KB, ~1,844 tokens"
+export function describeAttachment({ kind, size, width, height, pages, tokens }) {
+  let shape;
+  if (kind === 'pdf') {
+    shape = pages ? `PDF, ${pages} page(s)` : 'PDF, page count unknown';
+  } else if (width) {
+    const scaled = scaledSize({ width, height });
+    shape = `image, ${width}×${height}${scaled.width < width ? ` scaled to ${scaled.width}×${scaled.height}` : ''}`;
+  } else {
+    shape = 'image, size unknown';
+  }
+  return `${shape}, ${formatSize(size)}, ~${tokens.toLocaleString()} tokens`;
+}
+
+export function describeAttachmentLimits() {
+  return `images up to ${formatSize(ATTACHMENT_LIMITS.imageBytes)} and ${ATTACHMENT_LIMITS.imageEdge} px a side ` +
+    `(scaled to ${SCALED_IMAGE_EDGE} px by providers), PDFs up to ${formatSize(ATTACHMENT_LIMITS.pdfBytes)} and ${ATTACHMENT_LIMITS.pdfPages} pages`;
+}
+
+// Images need a model with image input; PDFs are read by models that take images or files
+export function acceptsAttachment(inputModalities, { kind }) {
+  return inputModalities.includes('image') || (kind === 'pdf' && inputModalities.includes('file'));
+}
+
+// Content parts for a user message: each attachment's path, then the attachment itself. Providers
+// turn the image and document parts into their own formats; tokens is the estimate for counting.
+export function attachmentParts(attachments) {
+  return attachments.flatMap(({ relativePath, attachment }) => [
+    { type: 'text', text: `Attachment: ${relativePath}` },
+    {
+      type: attachment.kind === 'pdf' ? 'document' : 'image',
+      name: path.basename(relativePath),
+      mediaType: attachment.mediaType,
+      data: attachment.data,
+      tokens: attachment.tokens,
+    },
+  ]);
+}
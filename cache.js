@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR, loadConfig } from './config.js';
+import { PLACEHOLDER_REGEX } from './secrets.js';
+
+export const DEFAULT_CACHE_DIR = path.join(CONFIG_DIR, 'cache');
+const CACHE_VERSION = 1; // Part of every key, so a format change starts a fresh cache
+const PREVIEW_LENGTH = 60;
+const ENTRY_FILE_REGEX = /^[0-9a-f]{64}\.json$/;
+const MODELS_FILE = 'models.json';
+
+function cacheDir(config) {
+  return path.resolve(config.cacheDir || DEFAULT_CACHE_DIR);
+}
+
+// The text of the last user message, for cache ls
+function promptPreview(messages) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  const content = Array.isArray(last?.content)
+    ? last.content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+    : last?.content || '';
+  return content.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH);
+}
+
+// Redaction placeholders hash the secret with this install's redaction key, so keys number them in
+// order of appearance instead; recordings of requests with redacted secrets then replay elsewhere
+function withPortablePlaceholders(text) {
+  const numbers = new Map();
+  return text.replace(PLACEHOLDER_REGEX, (placeholder) => {
+    if (!numbers.has(placeholder)) {
+      numbers.set(placeholder, numbers.size + 1);
+    }
+    return `${placeholder.slice(0, placeholder.lastIndexOf(':'))}:${numbers.get(placeholder)}]`;
+  });
+}
+
+function isEntry(entry) {
+  return typeof entry?.key === 'string' && typeof entry.createdAt === 'string' &&
+    typeof entry.model === 'string' && typeof entry.prompt === 'string' &&
+    typeof entry.response?.responseText === 'string' &&
+    Number.isFinite(entry.response.promptTokens) && Number.isFinite(entry.response.completionTokens);
+}
+
+// Responses stored under a hash of the provider and the exact request body (model, parameters,
+// messages and tool definitions), one JSON file each. mode is the cache config: on replays stored
+// responses and stores new ones, record always sends and stores, replay never sends. null for off.
+// Unreadable entries and failed writes are reported to warn.
+export function createResponseCache(config, { warn = console.warn } = {}) {
+  if (config.cache === 'off') {
+    return null;
+  }
+  const mode = config.cache;
+  const dir = cacheDir(config);
+  const file = (key) => path.join(dir, `${key}.json`);
+  const modelsFile = path.join(dir, MODELS_FILE);
+
+  const readModels = async () => {
+    try {
+      return JSON.parse(await fs.readFile(modelsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        warn(`Ignoring the recorded models in ${modelsFile}: ${error.message}`);
+      }
+      return {};
+    }
+  };
+
+  return {
+    mode,
+    dir,
+
+    key(providerName, body) {
+      return crypto.createHash('sha256')
+        .update(withPortablePlaceholders(JSON.stringify({ version: CACHE_VERSION, provider: providerName, body })))
+        .digest('hex');
+    },
+
+    // { responseText, toolCalls, promptTokens, completionTokens }, or null when nothing is stored
+    async get(key) {
+      if (mode === 'record') {
+        return null;
+      }
+      try {
+        const entry = JSON.parse(await fs.readFile(file(key), 'utf8'));
+        if (!isEntry(entry)) {
+          warn(`Ignoring ${file(key)}: not a cached response`);
+          return null;
+        }
+        return entry.response;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          warn(`Ignoring the cached response in ${file(key)}: ${error.message}`);
+        }
+        return null;
+      }
+    },
+
+    // The catalog entries of the models requests were recorded for, by provider. Context length,
+    // supported parameters and input modalities shape the request body, so a replay reads them from
+    // here instead of the live catalog to build the same body and find the same key.
+    async recordedModels(providerName) {
+      return Object.values((await readModels())[providerName] || {});
+    },
+
+    async recordModel(providerName, modelInfo) {
+      if (mode === 'replay') {
+        return;
+      }
+      const models = await readModels();
+      if (JSON.stringify(models[providerName]?.[modelInfo.id]) === JSON.stringify(modelInfo)) {
+        return;
+      }
+      models[providerName] = { ...models[providerName], [modelInfo.id]: modelInfo };
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(modelsFile, JSON.stringify(models, null, 2));
+      } catch (error) {
+        warn(`Could not record the catalog entry for ${modelInfo.id} in ${dir}: ${error.message}`);
+      }
+    },
+
+    // A failed write only costs the next run a request
+    async set(key, { providerName, body }, { responseText, toolCalls, promptTokens, completionTokens }) {
+      const entry = {
+        key,
+        createdAt: new Date().toISOString(),
+        provider: providerName,
+        model: body.model,
+        prompt: promptPreview(body.messages),
+        response: { responseText, toolCalls, promptTokens, completionTokens },
+      };
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(file(key), JSON.stringify(entry, null, 2));
+      } catch (error) {
+        warn(`Could not cache the response in ${dir}: ${error.message}`);
+      }
+    },
+  };
+}
+
+// Only files named like cache entries and shaped like them, so a cacheDir pointing at a directory
+// with other JSON files never lists or deletes those
+async function readEntries(dir) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const entries = [];
+  for (const name of names.filter(name => ENTRY_FILE_REGEX.test(name))) {
+    const filePath = path.join(dir, name);
+    try {
+      const { size } = await fs.stat(filePath);
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!isEntry(entry) || `${entry.key}.json` !== name) {
+        console.warn(`Skipping ${filePath}: not a cached response`);
+        continue;
+      }
+      entries.push({ ...entry, filePath, size });
+    } catch (error) {
+      console.warn(`Skipping ${filePath}: ${error.message}`);
+    }
+  }
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// gb9k cache ls lists the cached responses, newest first; gb9k cache clear [key] deletes them all, or
+// the ones whose key starts with key
+export async function cacheCommand(args) {
+  const [action = 'ls', prefix] = args.filter(arg => !arg.startsWith('--'));
+  const dir = cacheDir(await loadConfig());
+  const entries = await readEntries(dir);
+
+  if (action === 'ls') {
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(entries.map(({ response, filePath, ...entry }) => ({
+        ...entry,
+        promptTokens: response.promptTokens,
+        completionTokens: response.completionTokens,
+      })), null, 2));
+      return;
+    }
+    if (entries.length === 0) {
+      console.log(`No cached responses in ${dir}`);
+      return;
+    }
+    const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+    console.log(`\n${entries.length} cached response(s) in ${dir} (${(totalSize / 1024).toFixed(1)} KB):`);
+    console.log(`${'Key'.padEnd(14)}${'Created'.padEnd(18)}${'Model'.padEnd(36)}${'Tokens'.padEnd(16)}Prompt`);
+    for (const entry of entries) {
+      const tokens = `${entry.response.promptTokens.toLocaleString()}/${entry.response.completionTokens.toLocaleString()}`;
+      const created = entry.createdAt.slice(0, 16).replace('T', ' ');
+      console.log(`${entry.key.slice(0, 12).padEnd(14)}${created.padEnd(18)}${entry.model.padEnd(35)} ${tokens.padEnd(16)}${entry.prompt}`);
+    }
+    return;
+  }
+
+  if (action === 'clear') {
+    const matching = prefix ? entries.filter(entry => entry.key.startsWith(prefix)) : entries;
+    if (prefix && matching.length === 0) {
+      throw new Error(`No cached response has a key starting with ${prefix}`);
+    }
+    await Promise.all(matching.map(entry => fs.unlink(entry.filePath)));
+    console.log(`Deleted ${matching.length} cached response(s) from ${dir}`);
+    return;
+  }
+
+  throw new Error(`Unknown cache action: ${action}. Use: gb9k cache ls [--json], gb9k cache clear [key]`);
+}
@@ -0,0 +1,286 @@
+import readline from 'readline/promises';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  completePromptFile, parsePromptFile, formatPromptFile, validateModelChain, describeCandidate,
+} from './run.js';
+import { applyResponse, getLastResponse } from './apply.js';
+import { resolveModelSpec } from './providers.js';
+import { DEFAULT_SESSION, sessionFileName, splitPromptHeader, validateSessionName } from './sessions.js';
+import { parseContextEntry } from './outline.js';
+import { describeToolCall } from './tools.js';
+import { loadConfig } from './config.js';
+
+const CHAT_HELP = `Commands:
+  /add <path> [path ...]  Add files or directories to ### Context (append " (outline)" for an outline)
+  /drop <path> [path ...] Remove entries from ### Context
+  /context                List the ### Context entries
+  /model [spec ...]       Show the model chain, or replace it (one spec per fallback)
+  /cost                   Show tokens and cost for this chat and the last turn
+  /retry                  Discard the last answer and ask again
+  /apply                  Review and apply the file blocks from the last answer
+  /help                   Show this list
+  /exit                   Quit (or press Ctrl-D)
+End a line with \\ to continue the message on the next line.`;
+
+// Matches the section body the same way parsePromptFile does
+function sectionRegex(heading) {
+  return new RegExp(`(### ${heading}\\n)([\\s\\S]*?)(?=\\n###|\\n---|$)`);
+}
+
+// Only the header is searched, so a heading inside an answer is left alone
+async function updateSection(promptFile, heading, update) {
+  const [header, rest] = splitPromptHeader(await fs.readFile(promptFile, 'utf8'));
+  const regex = sectionRegex(heading);
+  if (!regex.test(header)) {
+    throw new Error(`No ### ${heading} section in ${promptFile}`);
+  }
+  // The body's trailing whitespace, such as the blank line before the separator, is kept
+  const replaced = header.replace(regex, (_, title, body) => `${title}${update(body).trimEnd()}${body.match(/\s*$/)[0] || '\n'}`);
+  await fs.writeFile(promptFile, replaced + rest);
+}
+
+function listEntries(body) {
+  return body.split('\n').map(line => line.trim().replace(/^- /, '')).filter(line => line && !line.startsWith('<!--'));
+}
+
+function formatEntries(entries) {
+  return entries.map(entry => `- ${entry}\n`).join('');
+}
+
+// Fills the trailing empty ### User section (or its placeholder comment), else starts a new one
+async function appendUserMessage(promptFile, text) {
+  const content = await fs.readFile(promptFile, 'utf8');
+  // Only the last ### User section can be the empty one, and only if no answer follows it
+  const index = content.lastIndexOf('\n### User\n');
+  const lastUser = index === -1 ? null : content.slice(index + '\n### User\n'.length);
+  const empty = lastUser !== null && !lastUser.includes('### LLM\n') && /^\s*(<!--[\s\S]*?-->)?\s*$/.test(lastUser);
+  const updated = empty
+    ? `${content.slice(0, index)}\n### User\n${text}`
+    : `${content.trimEnd()}\n\n### User\n${text}`;
+  await fs.writeFile(promptFile, updated);
+}
+
+function stripComments(text) {
+  return text.replace(/<!--[\s\S]*?-->/g, '').trim();
+}
+
+// Cuts the last ### LLM section, unless a message has been written after it
+async function removeLastResponse(promptFile) {
+  const content = await fs.readFile(promptFile, 'utf8');
+  const index = content.lastIndexOf('### LLM\n');
+  if (index === -1) {
+    return false;
+  }
+  const userAfter = content.slice(index).match(/\n### User\n([\s\S]*)$/);
+  if (userAfter && stripComments(userAfter[1])) {
+    return false;
+  }
+  await fs.writeFile(promptFile, `${content.slice(0, index).trimEnd()}\n`);
+  return true;
+}
+
+function formatTurnSummary(turn) {
+  const cost = turn.pricing ? ` · $${turn.pricing.totalCost.toFixed(4)}` : '';
+  const cached = turn.cached ? ' · from the response cache' : '';
+  return `[${turn.model} · ${turn.promptTokens.toLocaleString()} in / ${turn.completionTokens.toLocaleString()} out${cost}${cached}]`;
+}
+
+export async function chat({ sessionName = null } = {}) {
+  const name = sessionName || DEFAULT_SESSION;
+  validateSessionName(name);
+  const promptFile = sessionFileName(name);
+  const exists = await fs.access(promptFile).then(() => true, () => false);
+  if (!exists) {
+    const config = await loadConfig();
+    await fs.writeFile(promptFile, formatPromptFile(promptFile, config.defaultModel, []));
+    console.log(`Started a new session in ${promptFile}`);
+  }
+
+  const { modelChain } = await parsePromptFile(promptFile);
+  console.log(`Chatting in ${promptFile} with ${modelChain.map(describeCandidate).join(' -> ')}. Type /help for commands.`);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const totals = { turns: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  let lastTurn = null;
+  let turnController = null;
+
+  // Ctrl-C stops a streaming answer (keeping what arrived); at the prompt it quits
+  const onInterrupt = () => {
+    if (turnController) {
+      console.error('\nInterrupted, saving the partial response');
+      turnController.abort();
+    } else {
+      rl.close();
+    }
+  };
+  rl.on('SIGINT', onInterrupt);
+  process.on('SIGINT', onInterrupt);
+
+  // A retry asks the model again rather than replaying the cached answer
+  const send = async ({ retry = false } = {}) => {
+    turnController = new AbortController();
+    let streamed = false;
+    try {
+      const config = await loadConfig();
+      const turn = await completePromptFile(promptFile, {
+        config: retry && config.cache === 'on' ? { ...config, cache: 'record' } : config,
+        signal: turnController.signal,
+        quiet: true,
+        onContent: (content) => {
+          if (!streamed) {
+            process.stdout.write('\n');
+            streamed = true;
+          }
+          process.stdout.write(content);
+        },
+        onToolCall: (call) => {
+          process.stdout.write(`\n[${describeToolCall(call)}]\n`);
+          streamed = true;
+        },
+      });
+      lastTurn = turn;
+      totals.turns++;
+      totals.promptTokens += turn.promptTokens;
+      totals.completionTokens += turn.completionTokens;
+      totals.cost += turn.pricing ? turn.pricing.totalCost : 0;
+      console.log(`\n\n${formatTurnSummary(turn)}`);
+    } catch (error) {
+      console.error(`${streamed ? '\n' : ''}${error.message}`);
+      console.error('Your message is kept in the prompt file; use /retry to send it again.');
+    } finally {
+      turnController = null;
+    }
+  };
+
+  const commands = {
+    help: async () => console.log(CHAT_HELP),
+
+    context: async () => {
+      const { contextFiles } = await parsePromptFile(promptFile);
+      console.log(contextFiles.length > 0 ? contextFiles.map(entry => `- ${entry}`).join('\n') : 'No context entries.');
+    },
+
+    add: async (args) => {
+      if (args.length === 0) {
+        throw new Error('Usage: /add <path> [path ...]');
+      }
+      // "(outline)" may follow a path, so it is reattached to the path before it
+      const entries = [];
+      for (const arg of args) {
+        if (arg === '(outline)' && entries.length > 0) {
+          entries[entries.length - 1] += ' (outline)';
+        } else {
+          entries.push(arg);
+        }
+      }
+      for (const entry of entries) {
+        const exists = await fs.access(path.resolve(parseContextEntry(entry).path)).then(() => true, () => false);
+        if (!exists) {
+          throw new Error(`No such file or directory: ${parseContextEntry(entry).path}`);
+        }
+      }
+      await updateSection(promptFile, 'Context', body => {
+        const current = listEntries(body);
+        return formatEntries([...current, ...entries.filter(entry => !current.includes(entry))]);
+      });
+      console.log(`Added ${entries.join(', ')}`);
+    },
+
+    drop: async (args) => {
+      if (args.length === 0) {
+        throw new Error('Usage: /drop <path> [path ...]');
+      }
+      const targets = args.map(arg => path.normalize(parseContextEntry(arg).path));
+      let dropped = [];
+      await updateSection(promptFile, 'Context', body => {
+        const current = listEntries(body);
+        dropped = current.filter(entry => targets.includes(path.normalize(parseContextEntry(entry).path)) || args.includes(entry));
+        return formatEntries(current.filter(entry => !dropped.includes(entry)));
+      });
+      console.log(dropped.length > 0 ? `Dropped ${dropped.join(', ')}` : 'No matching context entries.');
+    },
+
+    model: async (args) => {
+      if (args.length === 0) {
+        const { modelChain } = await parsePromptFile(promptFile);
+        console.log(modelChain.map(describeCandidate).join(' -> '));
+        return;
+      }
+      const chain = await Promise.all(args.map(spec => resolveModelSpec(spec)));
+      const problems = await validateModelChain(chain, { quiet: true });
+      if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+      }
+      await updateSection(promptFile, 'Model', () => `${args.join('\n')}\n`);
+      console.log(`Model set to ${chain.map(describeCandidate).join(' -> ')}`);
+    },
+
+    cost: async () => {
+      console.log(
+        `This chat: ${totals.turns} turn(s), ${totals.promptTokens.toLocaleString()} input and ` +
+        `${totals.completionTokens.toLocaleString()} output tokens, $${totals.cost.toFixed(4)}`
+      );
+      if (lastTurn) {
+        console.log(`Last turn: ${formatTurnSummary(lastTurn)}`);
+      }
+    },
+
+    retry: async () => {
+      await removeLastResponse(promptFile);
+      const { messages } = await parsePromptFile(promptFile);
+      const last = messages[messages.length - 1];
+      if (!last || last.role !== 'user' || !stripComments(last.content)) {
+        throw new Error('Nothing to retry.');
+      }
+      await send({ retry: true });
+    },
+
+    apply: async () => {
+      if (!getLastResponse(await fs.readFile(promptFile, 'utf8'))) {
+        throw new Error('No answer to apply yet.');
+      }
+      // Failed hunks are reported by applyResponse; they don't end the chat
+      await applyResponse({ sessionName: name, rl });
+    },
+  };
+
+  rl.setPrompt('> ');
+  rl.prompt();
+  let pending = [];
+  for await (const line of rl) {
+    // A trailing backslash continues the message on the next line
+    if (line.endsWith('\\')) {
+      pending.push(line.slice(0, -1));
+      rl.setPrompt('. ');
+      rl.prompt();
+      continue;
+    }
+    const text = [...pending, line].join('\n').trim();
+    pending = [];
+    rl.setPrompt('> ');
+
+    if (text.startsWith('/')) {
+      const [command, ...args] = text.slice(1).split(/\s+/);
+      if (command === 'exit' || command === 'quit') {
+        break;
+      }
+      try {
+        if (!commands[command]) {
+          throw new Error(`Unknown command /${command}. Type /help for the list.`);
+        }
+        await commands[command](args);
+      } catch (error) {
+        console.error(error.message);
+      }
+    } else if (text) {
+      await appendUserMessage(promptFile, text);
+      await send();
+    }
+    rl.prompt();
+  }
+
+  rl.close();
+  process.removeListener('SIGINT', onInterrupt);
+  console.log(`\nTranscript saved in ${promptFile}`);
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR } from './config.js';
+
+export const DEFAULT_CLIPBOARD_FILE = path.join(CONFIG_DIR, 'clipboard.txt');
+// Many terminals ignore OSC 52 sequences longer than this
+const OSC52_MAX_BYTES = 100000;
+
+function inSshSession() {
+  return Boolean(process.env.SSH_TTY || process.env.SSH_CONNECTION);
+}
+
+async function copyWithSystemClipboard(text) {
+  const { default: clipboardy } = await import('clipboardy');
+  await clipboardy.write(text);
+  return 'clipboard';
+}
+
+// Asks the terminal itself to set the clipboard, which works over SSH. It is written to /dev/tty so it
+// reaches the terminal even when stdout is redirected.
+async function copyWithOsc52(text) {
+  const encoded = Buffer.from(text).toString('base64');
+  const sequence = `\x1b]52;c;${encoded}\x07`;
+  try {
+    // tmux only passes the sequence on to the outer terminal when it is wrapped in its own escape
+    await fs.writeFile('/dev/tty', process.env.TMUX ? `\x1bPtmux;\x1b${sequence}\x1b\\` : sequence);
+  } catch (error) {
+    throw new Error(`OSC 52 needs a terminal (${error.message})`);
+  }
+  if (encoded.length > OSC52_MAX_BYTES) {
+    console.warn(`Warning: the OSC 52 sequence is ${Math.ceil(encoded.length / 1024)} KB; some terminals drop sequences over ${OSC52_MAX_BYTES / 1000} KB`);
+  }
+  return 'terminal clipboard (OSC 52)';
+}
+
+async function copyToFile(text, config) {
+  const filePath = path.resolve(config.clipboardFile || DEFAULT_CLIPBOARD_FILE);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, text);
+  return filePath;
+}
+
+// Copies text with the clipboard config: system (the desktop clipboard), osc52 (the terminal's), file
+// (clipboardFile), none, or auto, which uses OSC 52 over SSH and otherwise the system clipboard,
+// falling back to OSC 52 when that fails on a terminal. Returns where the text went, or null for none.
+export async function copyToClipboard(text, config) {
+  switch (config.clipboard) {
+    case 'none':
+      return null;
+    case 'system':
+      return copyWithSystemClipboard(text);
+    case 'osc52':
+      return copyWithOsc52(text);
+    case 'file':
+      return copyToFile(text, config);
+  }
+
+  if (inSshSession() && process.stdout.isTTY) {
+    return copyWithOsc52(text);
+  }
+  try {
+    return await copyWithSystemClipboard(text);
+  } catch (error) {
+    if (!process.stdout.isTTY) {
+      throw error;
+    }
+    return copyWithOsc52(text);
+  }
+}
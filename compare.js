@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import {
+  prepareTurn, prepareCandidate, sendToCandidate, recordAnswer, createInterruption, describeCandidate,
+  nextPromptSection, COMPARISON_HEADING_REGEX,
+} from './run.js';
+import { resolveModelSpec } from './providers.js';
+import { findSessionFile, sessionCommand } from './sessions.js';
+import { describeToolCall } from './tools.js';
+import { ask_question } from './utils.js';
+
+const PICK_HINT_REGEX = /\n*<!-- Keep one answer with [\s\S]*?-->\s*$/;
+
+function formatLatency(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Numbers match the order of the ### LLM (model) sections, which only hold the answered models
+function printComparison(results, answered) {
+  console.log(`\n${'#'.padEnd(4)}${'Model'.padEnd(44)}${'Latency'.padEnd(10)}${'Input'.padEnd(10)}${'Output'.padEnd(10)}Cost`);
+  results.forEach((result) => {
+    const { label, answer, error } = result;
+    const number = `${answered.includes(result) ? answered.indexOf(result) + 1 : '-'}`.padEnd(4);
+    if (error) {
+      console.log(`${number}${label.padEnd(44)}failed: ${error.message.split('\n')[0]}`);
+      return;
+    }
+    const cost = answer.pricing ? `$${answer.pricing.totalCost.toFixed(4)}` : '-';
+    console.log(
+      `${number}${label.padEnd(44)}${formatLatency(answer.durationMs).padEnd(10)}` +
+      `${answer.promptTokens.toLocaleString().padEnd(10)}${answer.completionTokens.toLocaleString().padEnd(10)}` +
+      `${cost}${answer.interrupted ? ' (interrupted)' : ''}`
+    );
+  });
+}
+
+// Sends the conversation to every model at once and appends each answer as its own
+// "### LLM (model)" section, to be narrowed down to one with pickAnswer
+export async function comparePromptFile(promptFile, modelSpecs = null, { fit = false, force = false } = {}) {
+  const modelChain = modelSpecs ? await Promise.all(modelSpecs.map(spec => resolveModelSpec(spec))) : null;
+  const turn = await prepareTurn(promptFile, { modelChain });
+  if (turn.modelChain.length < 2) {
+    throw new Error('Comparing needs at least two models: pass --models a,b or list several in ### Model.');
+  }
+
+  // Checks run one model at a time so their output stays readable; the requests then run together,
+  // so each budget check counts the worst cases of the models already prepared
+  const prepared = [];
+  let pendingCost = 0;
+  for (const candidate of turn.modelChain) {
+    console.log(`\nModel: ${describeCandidate(candidate)}`);
+    try {
+      const candidatePrepared = await prepareCandidate(candidate, turn, { fit, force, pendingCost });
+      pendingCost += candidatePrepared.estimatedCost ?? 0;
+      prepared.push(candidatePrepared);
+    } catch (error) {
+      console.warn(`Skipping ${describeCandidate(candidate)}: ${error.message}`);
+    }
+  }
+  if (prepared.length === 0) {
+    throw new Error('None of the models could be sent this conversation.');
+  }
+
+  console.log(`\nSending to ${prepared.map(p => describeCandidate(p.candidate)).join(', ')}`);
+  const interruption = createInterruption();
+  let results;
+  try {
+    results = await Promise.all(prepared.map(async (candidate) => {
+      const label = describeCandidate(candidate.candidate);
+      let text = '';
+      try {
+        const answer = await sendToCandidate(candidate, {
+          write: async (content) => {
+            text += content;
+          },
+          onToolCall: (call) => console.log(`[${label}] Tool call: ${describeToolCall(call)}`),
+          signal: interruption.signal,
+        });
+        console.log(`[${label}] ${answer.interrupted ? 'interrupted' : 'done'} after ${formatLatency(answer.durationMs)}`);
+        return { label, prepared: candidate, answer, text };
+      } catch (error) {
+        console.error(`[${label}] ${error.message}`);
+        return { label, prepared: candidate, error };
+      }
+    }));
+  } finally {
+    interruption.dispose();
+  }
+
+  const answered = results.filter(result => result.answer && (result.text || !result.answer.interrupted));
+  if (answered.length === 0) {
+    printComparison(results, answered);
+    throw Object.assign(new Error('No model answered; the prompt file was not changed.'), {
+      exitCode: results.some(result => result.answer?.interrupted) ? 130 : 1,
+    });
+  }
+
+  const sections = answered.map(({ label, answer, text }) =>
+    `### LLM (${label})\n${text.trim()}${answer.interrupted ? '\n\n[interrupted]' : ''}`
+  );
+  // A trailing empty ### LLM section, left by an earlier failed run, is replaced
+  const content = (await fs.readFile(promptFile, 'utf8')).replace(/\n### LLM\n\s*$/, '\n');
+  await fs.writeFile(promptFile, `${content.trimEnd()}\n\n${sections.join('\n\n')}\n\n` +
+    `<!-- Keep one answer with \`${sessionCommand('pick', promptFile)} <model or number>\` -->\n`);
+  for (const { prepared: candidate, answer } of answered) {
+    await recordAnswer(promptFile, candidate, answer);
+  }
+
+  printComparison(results, answered);
+  return answered;
+}
+
+// Keeps one "### LLM (model)" answer, chosen by model or by number, as the turn's ### LLM section
+export async function pickAnswer(promptFile, choice) {
+  const content = await fs.readFile(promptFile, 'utf8');
+  const start = content.search(COMPARISON_HEADING_REGEX);
+  if (start === -1) {
+    throw new Error(`No answers from a comparison run in ${promptFile}.`);
+  }
+
+  // split() with a capture group alternates labels and section bodies
+  const parts = content.slice(start).replace(PICK_HINT_REGEX, '').split(/^### LLM \((.+)\)\n/m).slice(1);
+  const answers = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    answers.push({ label: parts[i], body: parts[i + 1] });
+  }
+  // A ### User section already written after the answers is kept
+  const last = answers[answers.length - 1];
+  const userIndex = last.body.search(/^### User\n/m);
+  const rest = userIndex === -1 ? null : last.body.slice(userIndex);
+  if (userIndex !== -1) {
+    last.body = last.body.slice(0, userIndex);
+  }
+
+  const number = Number(choice);
+  const picked = Number.isInteger(number) && number >= 1 && number <= answers.length
+    ? answers[number - 1]
+    : answers.find(answer => answer.label === choice) ||
+      answers.find(answer => answer.label.split(':').pop().split('/').pop() === choice);
+  if (!picked) {
+    throw new Error(`No answer from ${choice}. Pick one of: ${answers.map((answer, i) => `${i + 1} (${answer.label})`).join(', ')}`);
+  }
+
+  const section = `### LLM\n${picked.body.trim()}`;
+  const next = rest ? `\n\n${rest.trimEnd()}\n` : nextPromptSection(promptFile);
+  await fs.writeFile(promptFile, `${content.slice(0, start)}${section}${next}`);
+  return picked.label;
+}
+
+export async function comparePrompt({ sessionName = null, models = null, fit = false, force = false } = {}) {
+  let promptFile, answered;
+  try {
+    promptFile = await findSessionFile(sessionName);
+    answered = await comparePromptFile(promptFile, models, { fit, force });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(error.exitCode ?? 1);
+  }
+
+  let choice = answered.length === 1 ? '1' : '';
+  if (!choice && process.stdin.isTTY) {
+    const valid = ['', ...answered.map((_, i) => `${i + 1}`)];
+    choice = await ask_question(`\nKeep which answer? (1-${answered.length}, or Enter to decide later)`, valid);
+  }
+  if (choice) {
+    console.log(`Kept the answer from ${await pickAnswer(promptFile, choice)}`);
+  } else {
+    console.log(`\nKeep one later with \`${sessionCommand('pick', promptFile)} <model or number>\``);
+  }
+}
+
+export async function pickCommand({ sessionName = null, choice }) {
+  if (!choice) {
+    throw new Error('Usage: gb9k pick [session] <model or number>');
+  }
+  console.log(`Kept the answer from ${await pickAnswer(await findSessionFile(sessionName), choice)}`);
+}
@@ -0,0 +1,241 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConfigError } from './errors.js';
+
+export const CONFIG_DIR = path.join(os.homedir(), '.gb9k');
+export const USER_CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+export const PROJECT_CONFIG_NAME = '.gb9krc';
+
+const DEFAULT_SYSTEM_PROMPT = `You are a coding assistant. You will receive: (1) a list of relevant files, (2) the contents of those files, and (3) the user's prompt and subsequent conversation. Provide useful modifications to files in code blocks labeled with the file name after the opening triple backticks, and then the operation (<REWRITE>, <MODIFICATION>) (e.g., \`\`\`main.js <REWRITE>). A <REWRITE> block contains the complete new file content. A <MODIFICATION> block contains one or more search/replace hunks, each made of a line \`<<<<<<< SEARCH\`, the exact existing lines to replace (copied verbatim and unique within the file), a line \`=======\`, the replacement lines, and a line \`>>>>>>> REPLACE\`. If a file's content contains triple backticks, open and close its block with four backticks instead. Separate each code file modification with a line containing only three dashes (---).`;
+
+// Every supported key, its type and its built-in value. userOnly keys name a command to run or a
+// path to write or delete, so a .gb9krc in a cloned repository can't set them.
+const CONFIG_SCHEMA = {
+  defaultModel: { type: 'string', default: 'anthropic/claude-3.5-sonnet' },
+  extensions: {
+    type: 'array',
+    default: ['.js', '.ts', '.jsx', '.tsx', '.json', '.py', '.java', '.cpp', '.c', '.cs', '.rb', '.php', '.go', '.md', '.txt'],
+  },
+  skipDirectories: { type: 'array', default: ['node_modules', '.git', 'dist', 'build'] },
+  ignore: { type: 'array', default: [] },
+  systemPrompt: { type: 'string', default: DEFAULT_SYSTEM_PROMPT },
+  editor: { type: 'string', default: '', userOnly: true },
+  clipboard: { type: 'string', default: 'auto', values: ['auto', 'system', 'osc52', 'file', 'none'] },
+  clipboardFile: { type: 'string', default: '', userOnly: true },
+  format: { type: 'string', default: 'comment', values: ['comment', 'xml', 'markdown', 'json'] },
+  fileHeader: { type: 'string', default: '/* ~~~ {path} ~~~ */' },
+  modelParameters: { type: 'object', default: {} },
+  redactSecrets: { type: 'boolean', default: true },
+  secretAllowlist: { type: 'array', default: [] },
+  maxFileKb: { type: 'number', default: 512 },
+  maxTotalKb: { type: 'number', default: 8192 },
+  truncateLargeFiles: { type: 'boolean', default: false },
+  attachmentFallback: { type: 'string', default: 'error', values: ['error', 'text'] },
+  cache: { type: 'string', default: 'on', values: ['on', 'off', 'record', 'replay'] },
+  cacheDir: { type: 'string', default: '', userOnly: true },
+  diffContextLines: { type: 'number', default: 3 },
+  watchTrigger: { type: 'string', default: '/send' },
+  watchDebounce: { type: 'number', default: 300 },
+  tools: { type: 'boolean', default: true },
+  maxToolRounds: { type: 'number', default: 8 },
+  maxToolTokens: { type: 'number', default: 200000 },
+  requestTimeout: { type: 'number', default: 120 },
+  maxRetries: { type: 'number', default: 3 },
+  dailyBudget: { type: 'number', default: null },
+  monthlyBudget: { type: 'number', default: null },
+  budgetAction: { type: 'string', default: 'warn', values: ['warn', 'block'] },
+};
+
+let overrides = {};
+let configPromise = null;
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateValue(key, value, origin) {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) {
+    throw new ConfigError(`Unknown config key ${key} in ${origin}. Known keys are: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  }
+  if (typeOf(value) !== schema.type) {
+    throw new ConfigError(`Config key ${key} in ${origin} must be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}`);
+  }
+  if (schema.values && !schema.values.includes(value)) {
+    throw new ConfigError(`Config key ${key} in ${origin} must be one of: ${schema.values.join(', ')}`);
+  }
+}
+
+async function readConfigFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  let values;
+  try {
+    values = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+  if (typeOf(values) !== 'object') {
+    throw new ConfigError(`${filePath} must contain a JSON object`);
+  }
+  Object.entries(values).forEach(([key, value]) => validateValue(key, value, filePath));
+  return values;
+}
+
+// The nearest .gb9krc in the current directory or one of its parents
+export async function findProjectConfig(start = process.cwd()) {
+  let dir = start;
+  while (true) {
+    const candidate = path.join(dir, PROJECT_CONFIG_NAME);
+    const exists = await fs.access(candidate).then(() => true, () => false);
+    if (exists) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+async function buildConfig() {
+  const values = {};
+  const sources = {};
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = schema.default;
+    sources[key] = 'default';
+  }
+
+  const projectFile = await findProjectConfig();
+  const projectValues = projectFile ? await readConfigFile(projectFile) : null;
+  for (const key of Object.keys(projectValues || {}).filter(key => CONFIG_SCHEMA[key].userOnly)) {
+    console.warn(`Ignoring ${key} in ${projectFile}; set it in ${USER_CONFIG_FILE} or with --config`);
+    delete projectValues[key];
+  }
+  const layers = [
+    { values: await readConfigFile(USER_CONFIG_FILE), source: `user (${USER_CONFIG_FILE})` },
+    { values: projectValues, source: `project (${projectFile})` },
+    { values: overrides, source: 'flag' },
+  ];
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values || {})) {
+      values[key] = value;
+      sources[key] = layer.source;
+    }
+  }
+
+  return { values, sources, projectFile };
+}
+
+// CLI flags form the last layer; call before the first loadConfig()
+export function setConfigOverrides(values) {
+  Object.entries(values).forEach(([key, value]) => validateValue(key, value, 'command line flags'));
+  overrides = { ...overrides, ...values };
+  configPromise = null;
+}
+
+export async function loadConfig() {
+  if (!configPromise) {
+    configPromise = buildConfig();
+  }
+  return (await configPromise).values;
+}
+
+// The loaded config with values on top, validated like --config flags; for library callers, which
+// shouldn't change the overrides every later loadConfig() sees
+export async function resolveConfig(values = {}) {
+  Object.entries(values).forEach(([key, value]) => validateValue(key, value, 'options'));
+  return { ...await loadConfig(), ...values };
+}
+
+export function getModelParameters(config, model) {
+  return { ...config.modelParameters['*'], ...config.modelParameters[model] };
+}
+
+// `--config key=value` values: raw text for string keys, otherwise JSON when it parses
+export function parseConfigValue(text, key) {
+  if (CONFIG_SCHEMA[key]?.type === 'string') {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function formatValue(value, maxLength = Infinity) {
+  const text = JSON.stringify(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+async function updateConfigFile(filePath, update) {
+  const values = (await readConfigFile(filePath)) || {};
+  update(values);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(values, null, 2) + '\n');
+}
+
+export async function configCommand(args) {
+  const [action, key, ...rest] = args.filter(arg => arg !== '--project');
+  const project = args.includes('--project');
+  const targetFile = project
+    ? (await findProjectConfig()) || path.join(process.cwd(), PROJECT_CONFIG_NAME)
+    : USER_CONFIG_FILE;
+
+  if (!action || action === 'list') {
+    const { values, sources } = await buildConfig();
+    console.log(`\n${'Key'.padEnd(20)}${'Value'.padEnd(62)}Source`);
+    for (const name of Object.keys(CONFIG_SCHEMA)) {
+      console.log(`${name.padEnd(20)}${formatValue(values[name], 60).padEnd(62)}${sources[name]}`);
+    }
+    return;
+  }
+
+  if (!key) {
+    throw new Error(`Usage: gb9k config ${action} <key>${action === 'set' ? ' <value>' : ''} [--project]`);
+  }
+  if (!CONFIG_SCHEMA[key]) {
+    throw new Error(`Unknown config key ${key}. Known keys are: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  }
+
+  if (action === 'get') {
+    const { values, sources } = await buildConfig();
+    console.log(typeof values[key] === 'string' ? values[key] : JSON.stringify(values[key], null, 2));
+    console.log(`(from ${sources[key]})`);
+    return;
+  }
+
+  if (action === 'set') {
+    if (rest.length === 0) {
+      throw new Error(`Usage: gb9k config set ${key} <value> [--project]`);
+    }
+    if (project && CONFIG_SCHEMA[key].userOnly) {
+      throw new Error(`${key} can't be set in ${PROJECT_CONFIG_NAME}; set it without --project`);
+    }
+    const value = parseConfigValue(rest.join(' '), key);
+    validateValue(key, value, 'the command line');
+    await updateConfigFile(targetFile, values => { values[key] = value; });
+    console.log(`Set ${key} in ${targetFile}`);
+    return;
+  }
+
+  if (action === 'unset') {
+    await updateConfigFile(targetFile, values => { delete values[key]; });
+    console.log(`Removed ${key} from ${targetFile}`);
+    return;
+  }
+
+  throw new Error(`Unknown config action: ${action}. Use list, get, set or unset.`);
+}
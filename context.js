@@ -0,0 +1,198 @@
+import path from 'path';
+import { getAllCodeFiles } from './utils.js';
+import { selectGitFiles, gitDiffEntry, readGitDiff, isGitDiffEntry, checkGitRef } from './git.js';
+import { supportsOutline, outlineFile } from './outline.js';
+import { compilePathPatterns, matchesPathPatterns } from './ignore.js';
+import { readContextFiles, printSkippedFiles } from './read.js';
+import { isAttachment, readAttachments } from './attachments.js';
+import { redactFiles } from './secrets.js';
+import { formatFileSection, formatFiles } from './format.js';
+import { getTokenizer, describeTokenizer } from './tokens.js';
+
+const GIT_SELECTOR_FLAGS = ['--changed', '--staged', '--since', '--diff'];
+
+// Removes every `flag value` pair from args, collecting the values
+export function extractRepeatedOption(args, flag) {
+  const values = [];
+  const remaining = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag && i + 1 < args.length) {
+      values.push(args[++i]);
+    } else {
+      remaining.push(args[i]);
+    }
+  }
+  return { values, remaining };
+}
+
+// Removes `flag value1 value2 ...` from args, collecting values up to the next --option
+export function extractListOption(args, flag) {
+  const values = [];
+  let collecting = false;
+  const remaining = args.filter(arg => {
+    if (arg === flag) {
+      collecting = true;
+      return false;
+    }
+    if (collecting) {
+      if (arg.startsWith('--')) {
+        collecting = false;
+        return true;
+      }
+      values.push(arg);
+      return false;
+    }
+    return true;
+  });
+  return { values, remaining };
+}
+
+// Whether args name paths or git selectors, skipping the values of other options
+export function namesContext(args) {
+  let skipping = null;
+  for (const arg of args) {
+    if (arg.startsWith('--')) {
+      if (GIT_SELECTOR_FLAGS.includes(arg)) {
+        return true;
+      }
+      skipping = ['--file', '--diff-context'].includes(arg) ? 'value'
+        : ['--exclude', '--include', '--outline'].includes(arg) ? 'list' : null;
+    } else if (skipping === 'value') {
+      skipping = null;
+    } else if (skipping !== 'list') {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The files a selection starts from: paths (relative to the current directory) plus the files the
+// changed, staged and since git selectors pick, without exclude. Nothing named means the whole tree.
+// include and outline are path patterns; outline [] outlines every supported file. diff adds a
+// `git diff ...` section for the same git selection, with diffContext lines of context.
+export async function buildSelection({
+  paths = [], exclude = [], include = [], outline = null,
+  changed = false, staged = false, since = null, diff = false, diffContext = null,
+} = {}, config) {
+  const excludePaths = new Set(exclude);
+  const specificPaths = paths
+    .map(p => path.resolve(p))
+    .filter(p => !excludePaths.has(p));
+
+  // Git selectors add the files they pick to any paths given explicitly
+  const gitSelection = { changed, staged, since };
+  const useGit = changed || staged || Boolean(since);
+  if (useGit) {
+    specificPaths.push(...await selectGitFiles(gitSelection));
+  }
+  const diffEntries = diff
+    ? [gitDiffEntry({ ...gitSelection, contextLines: diffContext ?? config.diffContextLines })]
+    : [];
+
+  return {
+    specificPaths: specificPaths.length > 0 || useGit ? specificPaths : null,
+    excludePaths,
+    includePatterns: include,
+    outlinePatterns: outline,
+    diffEntries,
+  };
+}
+
+// Turns paths and the --changed, --staged, --since, --diff, --diff-context, --exclude, --include and
+// --outline options into a selection for collectFiles. Other --options are left in remaining.
+export async function parseSelectorArgs(args, config) {
+  const git = { changed: false, staged: false, diff: false };
+  const { values: sinceValues, remaining: argsWithoutSince } = extractRepeatedOption(args, '--since');
+  const { values: diffContextValues, remaining: argsWithoutGitValues } = extractRepeatedOption(argsWithoutSince, '--diff-context');
+  const since = sinceValues.length > 0 ? checkGitRef(sinceValues.pop()) : null;
+  let diffContext = null;
+  if (diffContextValues.length > 0) {
+    diffContext = Number(diffContextValues.pop());
+    if (!Number.isInteger(diffContext) || diffContext < 0) {
+      throw new Error('--diff-context expects a non-negative whole number of lines');
+    }
+  }
+  const argsWithoutGitFlags = argsWithoutGitValues.filter(arg => {
+    if (arg === '--changed' || arg === '--staged' || arg === '--diff') {
+      git[arg.slice(2)] = true;
+      return false;
+    }
+    return true;
+  });
+
+  const { values: exclude, remaining: remainingAfterExclude } = extractListOption(argsWithoutGitFlags, '--exclude');
+  const { values: include, remaining: remainingAfterInclude } = extractListOption(remainingAfterExclude, '--include');
+  const { values: outlineValues, remaining: remainingArgs } = extractListOption(remainingAfterInclude, '--outline');
+
+  const selection = await buildSelection({
+    paths: remainingArgs.filter(arg => !arg.startsWith('--')),
+    exclude,
+    include,
+    outline: remainingAfterInclude.includes('--outline') ? outlineValues : null,
+    ...git,
+    since,
+    diffContext,
+  }, config);
+  return { selection, remaining: remainingArgs.filter(arg => arg.startsWith('--')) };
+}
+
+// Reads, outlines and redacts the selected files, followed by the `git diff ...` sections. Returns
+// { relativePath, content } entries (with outline, fullContent, encoding, truncated and redactions
+// where they apply), the images and PDFs named among the paths as { relativePath, attachment }
+// entries (see readAttachments), the skipped files and the number of files found before reading.
+// quiet leaves the warnings about skipped, re-encoded, truncated and redacted files to the caller.
+export async function collectFiles({
+  specificPaths = null, excludePaths = new Set(), includePatterns = [], outlinePatterns = null, diffEntries = [],
+}, config, { quiet = false } = {}) {
+  const found = await getAllCodeFiles(process.cwd(), specificPaths, excludePaths, config, { includePatterns });
+
+  const outlineMatchers = outlinePatterns ? compilePathPatterns(outlinePatterns, process.cwd()) : [];
+  const shouldOutline = (file) => outlinePatterns !== null && supportsOutline(file) &&
+    (outlinePatterns.length === 0 || matchesPathPatterns(outlineMatchers, file, process.cwd()));
+
+  const { files: read, skipped: skippedFiles } = await readContextFiles(found.filter(file => !isAttachment(file)), config, { quiet });
+  const { attachments, skipped: skippedAttachments } = await readAttachments(found.filter(isAttachment));
+  const skipped = [...skippedFiles, ...skippedAttachments];
+  if (!quiet) {
+    printSkippedFiles(skipped);
+  }
+
+  const files = read.map(({ fullPath, ...file }) => shouldOutline(fullPath) ? outlineFile(file) : file);
+  for (const entry of diffEntries) {
+    files.push({ relativePath: entry, content: await readGitDiff(entry) });
+  }
+  return {
+    files: redactFiles(files, config, { quiet }),
+    attachments: attachments.map(({ fullPath, ...file }) => file),
+    skipped,
+    found: found.length,
+  };
+}
+
+// The text to copy or send for the files, in config.format, with each file's tokens for model and
+// the totals. Outlined files also get the tokens they would take in full.
+export async function buildContext(files, config, model = config.defaultModel) {
+  const text = formatFiles(files, config);
+  const tokenizer = await getTokenizer(model);
+  const stats = {
+    fileCount: files.filter(file => !isGitDiffEntry(file.relativePath)).length,
+    lineCount: text.split('\n').length,
+    tokens: tokenizer.count(text),
+    exactTokens: tokenizer.exact,
+    tokenizer: describeTokenizer(tokenizer),
+    model,
+    outlineTokens: 0,
+    fullTokens: 0,
+  };
+  const fileStats = files.map(file => {
+    const entry = { relativePath: file.relativePath, tokens: tokenizer.count(formatFileSection(file, config)) };
+    if (file.outline) {
+      entry.outline = true;
+      entry.fullTokens = tokenizer.count(formatFileSection({ relativePath: file.relativePath, content: file.fullContent }, config));
+      stats.outlineTokens += entry.tokens;
+      stats.fullTokens += entry.fullTokens;
+    }
+    return entry;
+  });
+  return { text, files: fileStats, stats };
+}
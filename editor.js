@@ -0,0 +1,86 @@
+import { spawn } from 'child_process';
+import { accessSync, constants } from 'fs';
+import path from 'path';
+
+// Tried in order when neither the editor config nor $VISUAL or $EDITOR names one
+const GUI_EDITORS = ['code'];
+const TERMINAL_EDITORS = ['vim', 'nano'];
+
+function onPath(command) {
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(dir => {
+    try {
+      accessSync(path.join(dir, command), constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Splits a command line such as `code -w` or `"/opt/My Editor/bin/edit" --wait` into words, with
+// single and double quotes grouping words the way a shell does. Nothing else is interpreted.
+function splitCommand(command) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (const char of command) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word ?? '';
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (quote) {
+    throw new Error(`unterminated ${quote} in ${command}`);
+  }
+  return word === null ? words : [...words, word];
+}
+
+// The editor config, else $VISUAL, else $EDITOR, else the first installed of code, vim and nano
+// (the terminal editors only when running in a terminal). null when there is none, or for none.
+export function resolveEditor(config) {
+  if (config.editor) {
+    return config.editor === 'none' ? null : config.editor;
+  }
+  const fromEnvironment = process.env.VISUAL || process.env.EDITOR;
+  if (fromEnvironment) {
+    return fromEnvironment;
+  }
+  const interactive = process.stdin.isTTY && process.stdout.isTTY;
+  return [...GUI_EDITORS, ...(interactive ? TERMINAL_EDITORS : [])].find(onPath) ?? null;
+}
+
+// Runs editor (a command line such as `code -w` or `vim`) on file, attached to this terminal, and
+// resolves once it exits. No shell is involved. GUI editors usually exit right away.
+export function openInEditor(editor, file) {
+  return new Promise((resolve, reject) => {
+    const [command, ...args] = splitCommand(editor);
+    if (!command) {
+      reject(new Error('the editor command is empty'));
+      return;
+    }
+    const child = spawn(command, [...args, file], { stdio: 'inherit' });
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT' ? new Error(`command not found: ${command}`) : error);
+    });
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(signal ? `${editor} was stopped by ${signal}` : `${editor} exited with code ${code}`));
+      }
+    });
+  });
+}
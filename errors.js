@@ -0,0 +1,73 @@
+// Errors thrown by the library functions. code tells them apart without instanceof, e.g. across
+// copies of the package; the CLI turns them into messages and exit codes.
+export class Gb9kError extends Error {
+  constructor(message, { code = 'error', cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// An unknown or invalid config key or value
+export class ConfigError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'config', ...details });
+  }
+}
+
+// A prompt file that can't be parsed or has nothing to send
+export class PromptFileError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'prompt-file', ...details });
+  }
+}
+
+// A file or directory to read that doesn't exist or can't be read; path is the one given
+export class PathError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'path', ...details });
+  }
+}
+
+// A model the provider's catalog doesn't list
+export class ModelError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'model', ...details });
+  }
+}
+
+// A missing API key, or one the provider rejected (status 401 or 403)
+export class AuthError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'auth', ...details });
+  }
+}
+
+// A prompt over the model's context window
+export class ContextLengthError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'context', ...details });
+  }
+}
+
+// A request refused because budgetAction is block and it would exceed a budget
+export class BudgetError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'budget', ...details });
+  }
+}
+
+// A failed API request; status is the HTTP status when the provider answered with one
+export class ApiError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'api', ...details });
+  }
+}
+
+// Ctrl-C or an aborted signal before any text arrived
+export class InterruptedError extends Gb9kError {
+  constructor(message, details = {}) {
+    super(message, { code: 'interrupted', exitCode: 130, ...details });
+  }
+}
@@ -0,0 +1,79 @@
+import path from 'path';
+import { isGitDiffEntry } from './git.js';
+import { contextLabel } from './outline.js';
+
+const LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'jsx', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'tsx', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python', '.pyi': 'python', '.java': 'java', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp',
+  '.cs': 'csharp', '.rb': 'ruby', '.php': 'php', '.go': 'go', '.rs': 'rust', '.kt': 'kotlin',
+  '.swift': 'swift', '.sh': 'bash', '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml',
+  '.html': 'html', '.css': 'css', '.scss': 'scss', '.sql': 'sql', '.md': 'markdown', '.txt': 'text',
+};
+
+// Language name for fences and the JSON manifest; git diff entries are diffs
+export function languageFor(relativePath) {
+  if (isGitDiffEntry(relativePath)) {
+    return 'diff';
+  }
+  const extension = path.extname(relativePath).toLowerCase();
+  return LANGUAGES[extension] || extension.slice(1) || 'text';
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// File content stays verbatim inside CDATA; a ]]> in it is split across two sections so it can't
+// end the section, or with it the <file> element, early
+function cdata(content) {
+  return `<![CDATA[${content.replaceAll(']]>', ']]]]><![CDATA[>')}]]>`;
+}
+
+// A fence longer than any run of backticks in the content
+function fenceFor(content) {
+  const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function withoutFinalNewline(content) {
+  return content.endsWith('\n') ? content.slice(0, -1) : content;
+}
+
+function manifestEntry(file) {
+  const entry = {
+    path: file.relativePath,
+    language: languageFor(file.relativePath),
+    size: Buffer.byteLength(file.content),
+  };
+  if (file.outline) {
+    entry.outline = true;
+  }
+  return { ...entry, content: file.content };
+}
+
+// One { relativePath, content, outline } entry in config.format (comment, xml, markdown or json,
+// where it is the file's manifest entry). The same formats serve the clipboard and run requests.
+export function formatFileSection(file, config) {
+  switch (config.format) {
+    case 'xml': {
+      const outline = file.outline ? ' outline="true"' : '';
+      return `<file path="${escapeAttribute(file.relativePath)}"${outline}>${cdata(`\n${withoutFinalNewline(file.content)}\n`)}</file>`;
+    }
+    case 'markdown': {
+      const fence = fenceFor(file.content);
+      return `File: ${contextLabel(file)}\n${fence}${languageFor(file.relativePath)}\n${withoutFinalNewline(file.content)}\n${fence}`;
+    }
+    case 'json':
+      return JSON.stringify(manifestEntry(file), null, 2);
+    default:
+      return `${config.fileHeader.replaceAll('{path}', contextLabel(file))}\n${file.content}`;
+  }
+}
+
+export function formatFiles(files, config) {
+  if (config.format === 'json') {
+    return JSON.stringify(files.map(manifestEntry), null, 2);
+  }
+  return files.map(file => formatFileSection(file, config)).join('\n\n');
+}
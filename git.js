@@ -0,0 +1,80 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+// Context entries such as `git diff HEAD -U3` or `git diff --cached -U5`. The ref can't start
+// with - so an entry can't smuggle in a git option such as --output.
+const DIFF_ENTRY_REGEX = /^git diff(?: (--cached))?(?: -U(\d+))?(?: ([^-\s]\S*))?$/;
+
+async function git(args) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { maxBuffer: MAX_GIT_OUTPUT });
+    return stdout;
+  } catch (error) {
+    const reason = (error.stderr || error.message).trim().split('\n')[0];
+    throw new Error(`git ${args.join(' ')} failed: ${reason}`);
+  }
+}
+
+// Refs reach git from --since and from Context entries; one starting with - would be read as an option
+export function checkGitRef(ref) {
+  if (ref.startsWith('-')) {
+    throw new Error(`Not a git ref: ${ref}`);
+  }
+  return ref;
+}
+
+function splitNames(output) {
+  return output.split('\0').filter(Boolean).map(name => path.resolve(process.cwd(), name));
+}
+
+// Files selected by --changed (staged, unstaged and untracked), --staged, or --since <ref>
+// (everything that differs from ref, plus untracked files). Deleted files are left out.
+export async function selectGitFiles({ changed = false, staged = false, since = null }) {
+  const lists = [];
+  const diffNames = (extra) => git(['diff', '--name-only', '-z', '--relative', '--diff-filter=d', ...extra]);
+  const untracked = () => git(['ls-files', '-z', '--others', '--exclude-standard']);
+
+  if (staged) {
+    lists.push(await diffNames(['--cached']));
+  }
+  if (changed) {
+    lists.push(await diffNames(['--cached']), await diffNames([]), await untracked());
+  }
+  if (since) {
+    lists.push(await diffNames(['--end-of-options', checkGitRef(since), '--']), await untracked());
+  }
+  return Array.from(new Set(lists.flatMap(splitNames))).sort();
+}
+
+// The Context entry that embeds the diff for the chosen selector; --changed diffs against HEAD
+export function gitDiffEntry({ staged = false, since = null, contextLines = 3 }) {
+  if (staged) {
+    return `git diff --cached -U${contextLines}`;
+  }
+  return `git diff -U${contextLines} ${since ? checkGitRef(since) : 'HEAD'}`;
+}
+
+export function isGitDiffEntry(entry) {
+  return DIFF_ENTRY_REGEX.test(entry);
+}
+
+// Runs the diff described by a Context entry, relative to the current directory
+export async function readGitDiff(entry) {
+  const match = entry.match(DIFF_ENTRY_REGEX);
+  if (!match) {
+    throw new Error(`Not a git diff entry: ${entry}`);
+  }
+  const [, cached, contextLines, ref] = match;
+  const args = ['diff', '--relative', '--no-color', `-U${contextLines ?? 3}`];
+  if (cached) {
+    args.push('--cached');
+  }
+  if (ref) {
+    args.push('--end-of-options', ref, '--');
+  }
+  const diff = await git(args);
+  return diff || '(no changes)\n';
+}
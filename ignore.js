@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Read in this order in every directory, so .gb9kignore can override (or re-include) .gitignore entries
+const IGNORE_FILES = ['.gitignore', '.gb9kignore'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+export function toPosixPath(p) {
+  return p.split(path.sep).join('/');
+}
+
+// Converts a gitignore-style glob into a regular expression source (without anchors)
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const afterSlash = i === 0 || glob[i - 1] === '/';
+        if (afterSlash && glob[i + 2] === '/') {
+          source += '(?:.*/)?'; // "**/" matches zero or more directories
+          i += 2;
+          continue;
+        }
+        if (afterSlash && i + 2 === glob.length) {
+          source += '.*'; // trailing "/**" matches everything inside
+          i += 1;
+          continue;
+        }
+        i += 1;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let range = glob.slice(i + 1, close);
+      if (range.startsWith('!')) {
+        range = '^' + range.slice(1);
+      }
+      source += `[${range}]`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+export function parseIgnoreLine(line, base) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (!pattern) {
+    return null;
+  }
+
+  // A slash anywhere but the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  const source = globToRegExp(pattern);
+  return {
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+    negate,
+    directoryOnly,
+    base,
+  };
+}
+
+async function readIgnoreRules(filePath, base) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return content.split(/\r?\n/).map(line => parseIgnoreLine(line, base)).filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function findRepoRoot(start) {
+  let dir = start;
+  while (true) {
+    const hasGit = await fs.access(path.join(dir, '.git')).then(() => true, () => false);
+    if (hasGit) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return start;
+    }
+    dir = parent;
+  }
+}
+
+// Evaluates .gitignore/.gb9kignore files from the repository root down; the last matching rule wins.
+// extraPatterns (the `ignore` config key) are anchored at root and take precedence over the files.
+export function createIgnoreMatcher(root, extraPatterns = []) {
+  const rulesCache = new Map();
+  const repoRootPromise = findRepoRoot(root);
+  const extraRules = extraPatterns.map(pattern => parseIgnoreLine(pattern, root)).filter(Boolean);
+
+  async function rulesFor(dir) {
+    if (!rulesCache.has(dir)) {
+      rulesCache.set(dir, (async () => {
+        const repoRoot = await repoRootPromise;
+        const parent = path.dirname(dir);
+        const inherited = dir === repoRoot || parent === dir || !dir.startsWith(repoRoot)
+          ? []
+          : await rulesFor(parent);
+        const own = dir === repoRoot ? await readIgnoreRules(path.join(dir, '.git', 'info', 'exclude'), dir) : [];
+        for (const file of IGNORE_FILES) {
+          own.push(...await readIgnoreRules(path.join(dir, file), dir));
+        }
+        return [...inherited, ...own];
+      })());
+    }
+    return rulesCache.get(dir);
+  }
+
+  return {
+    async isIgnored(fullPath, isDirectory) {
+      const rules = [...await rulesFor(path.dirname(fullPath)), ...extraRules];
+      let ignored = false;
+      for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) {
+          continue;
+        }
+        const relativePath = toPosixPath(path.relative(rule.base, fullPath));
+        if (!relativePath.startsWith('..') && rule.regex.test(relativePath)) {
+          ignored = !rule.negate;
+        }
+      }
+      return ignored;
+    },
+  };
+}
+
+// --include/--exclude values: plain paths or globs, both relative to root
+export function compilePathPatterns(patterns, root) {
+  return patterns.map(pattern => {
+    const relativePattern = toPosixPath(path.relative(root, path.resolve(root, pattern)));
+    return new RegExp(`^${globToRegExp(relativePattern)}$`);
+  });
+}
+
+// True when the path, or any directory containing it, matches one of the patterns
+export function matchesPathPatterns(regexes, fullPath, root) {
+  const parts = toPosixPath(path.relative(root, fullPath)).split('/');
+  for (let i = parts.length; i > 0; i--) {
+    const candidate = parts.slice(0, i).join('/');
+    if (regexes.some(regex => regex.test(candidate))) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,42 @@
+// The library behind the gb9k CLI. Paths are relative to the current directory, and config options
+// are config keys (see `gb9k config`) applied on top of ~/.gb9k/config.json and .gb9krc.
+import { resolveConfig } from './config.js';
+import {
+  buildSelection, collectFiles as collectSelection, buildContext as buildContextText,
+} from './context.js';
+import { createRun as createRunEmitter } from './run.js';
+
+export { parsePromptFile } from './run.js';
+export { formatFiles } from './format.js';
+export { redactSecrets } from './secrets.js';
+export {
+  Gb9kError, ConfigError, PromptFileError, PathError, ModelError, AuthError, ContextLengthError, BudgetError,
+  ApiError, InterruptedError,
+} from './errors.js';
+
+// Selects and reads files like the CLI: { paths, exclude, include, outline, changed, staged, since,
+// diff, diffContext, config }. Returns { files, attachments, skipped }, where files are
+// { relativePath, content } entries (with outline, fullContent, encoding, truncated and redactions
+// where they apply), attachments are { relativePath, attachment } entries for the images and PDFs
+// among the paths, and skipped lists { relativePath, reason } for binary, unreadable and oversized files.
+// Throws PathError for a path that doesn't exist.
+export async function collectFiles(options = {}) {
+  const config = await resolveConfig(options.config);
+  const selection = await buildSelection(options, config);
+  const { files, attachments, skipped } = await collectSelection(selection, config, { quiet: true });
+  return { files, attachments, skipped };
+}
+
+// The text the CLI would copy for files, in the configured format, with { relativePath, tokens }
+// for each file and the totals in stats. Tokens are counted for model (default: defaultModel).
+export async function buildContext(files, { model = null, config: values = {} } = {}) {
+  const config = await resolveConfig(values);
+  return buildContextText(files, config, model || config.defaultModel);
+}
+
+// Starts a run, either of a prompt file ({ promptFile }) whose answer is appended to it, or of
+// { messages, files, attachments, model, parameters } without one. The returned EventEmitter emits 'token',
+// 'toolCall', 'warning', 'usage' and 'error'; await run.result for the answer, or call run.abort().
+export function createRun({ config: values = {}, ...options } = {}) {
+  return createRunEmitter({ ...options, config: resolveConfig(values) });
+}
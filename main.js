@@ -1,21 +1,27 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
-import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { prompt_user_for_api_key, getAllCodeFiles } from './utils.js';
-import { runPrompt, listModels } from './run.js';
-const execAsync = promisify(exec);
-const { default: clipboardy } = await import('clipboardy');
-
-function countLines(text) {
-  return text.split('\n').length;
-}
-
-function estimateTokens(text) {
-  return Math.round(text.length / 4);
-}
+import { prompt_user_for_api_key } from './utils.js';
+import { runPrompt, listModels, formatPromptFile } from './run.js';
+import { applyResponse } from './apply.js';
+import {
+  DEFAULT_SESSION, validateSessionName, sessionFileName, listSessions, cleanupSessions,
+} from './sessions.js';
+import { loadConfig, setConfigOverrides, parseConfigValue, configCommand } from './config.js';
+import { usageCommand } from './usage.js';
+import { cacheCommand } from './cache.js';
+import { chat } from './chat.js';
+import { ask } from './ask.js';
+import { comparePrompt, pickCommand } from './compare.js';
+import { watchPromptFile } from './watch.js';
+import { contextLabel } from './outline.js';
+import {
+  extractRepeatedOption, namesContext, parseSelectorArgs, collectFiles, buildContext,
+} from './context.js';
+import { findTemplate, fillTemplate, parseTemplateValues, listTemplatesCommand } from './templates.js';
+import { copyToClipboard } from './clipboard.js';
+import { resolveEditor, openInEditor } from './editor.js';
+import { describeAttachment, describeAttachmentLimits } from './attachments.js';
 
 function formatNumber(num) {
   if (num >= 1000000) return (num / 1000000).toFixed(1) + 'm';
@@ -23,201 +29,548 @@ function formatNumber(num) {
   return num;
 }
 
+// Accepts plain counts and k/m suffixes, e.g. 32000, 128k or 1m
+function parseTokenCount(text) {
+  const match = String(text).toLowerCase().match(/^(\d+(?:\.\d+)?)([km]?)$/);
+  if (!match) {
+    throw new Error(`Invalid token count: ${text}. Use a number such as 32000, 128k or 1m.`);
+  }
+  const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2]];
+  return Math.round(Number(match[1]) * multiplier);
+}
+
 function showHelp() {
   console.log(`
 Usage: gb9k [command] [options] [path1 path2 ...]
 
 Commands:
   copy              Concatenates code files and copies to clipboard without writing to any file
-  cleanup           Deletes all markdown files starting with _PROMPT
-  run               Sends the user prompt from _PROMPT.md to OpenRouter and streams the response
-	models            Lists available models sorted by capability, with pricing
-  set_api_key       Sets or updates the API key for the tool
-  (default)         Concatenates code files, copies to clipboard, writes to _PROMPT.md, and opens in VS Code
+  new <name>        Like the default command, but starts a named session in _PROMPT_<name>.md
+  new [name] --template <template>
+                    Starts a session from a template (named after it by default; see Templates)
+  templates         Lists built-in, user and project templates with their variables
+  sessions          Lists sessions with their model, turn count, last cost and last modified time
+  cleanup [name]    Deletes the named session, or all markdown files starting with _PROMPT
+  run [name]        Sends the user prompt from the session's prompt file to the model's provider and
+                    streams the response; Ctrl-C stops it, keeping the partial answer marked [interrupted]
+  ask "question" [paths...]
+                    Sends one question without a prompt file, with the named paths and selectors as
+                    context, and streams the answer to stdout (see Scripting)
+  pick [name] <model or number>
+                    Keeps one answer from a run --models comparison as the turn's ### LLM section
+  chat [name]       Chats in the terminal, streaming answers and saving the transcript in the session's
+                    prompt file; /add, /drop, /model, /cost, /retry and /apply work inside (see /help)
+  watch [name]      Runs the session whenever its prompt file is saved with a last line of /send
+                    (the watchTrigger config), ignoring its own writes
+  apply [name]      Applies the file blocks from the session's last LLM response, confirming each diff
+  models            Lists available models with context length, pricing, input modalities and
+                    moderation; filter with --search, --vendor, --min-context, --max-price, --modality
+  usage             Summarizes recorded token usage and cost, with today's and this month's spend
+                    against the configured budgets
+  cache [ls]        Lists cached responses with their model, tokens and prompt (--json for JSON)
+  cache clear [key] Deletes every cached response, or those whose key starts with key
+  config [list]     Shows every config value and where it came from
+  config get <key>  Prints one config value
+  config set <key> <value> [--project]
+                    Saves a value (JSON or plain string) in ~/.gb9k/config.json, or .gb9krc with --project
+  config unset <key> [--project]
+                    Removes a value from ~/.gb9k/config.json, or .gb9krc with --project
+  set_api_key [provider]
+                    Sets or updates the API key for a provider (default: openrouter)
+  (default)         Concatenates code files, copies to clipboard, writes to _PROMPT.md, and opens it in
+                    your editor (see Clipboard and editor)
 
 Options:
   --help            Show this help message and exit
   --file <filename> Write the output to the specified file (only for default command)
-  --exclude path1 [path2 ...]
-                    Exclude specified files or directories from processing
+  --no-open         Write the prompt file without opening an editor (for new and the default command)
+  --yes             Apply every change without asking (only for apply; files with failed hunks are skipped)
+  --provider <name> Provider whose models to list (only for models; default: openrouter)
+  --search <text>   Only models whose id or name contains every word (only for models)
+  --vendor <name>   Only models from this vendor, e.g. anthropic or meta-llama (only for models)
+  --min-context <n> Only models with at least n context tokens, e.g. 128k (only for models)
+  --max-price <usd> Only models costing at most this per 1K input tokens (only for models)
+  --modality <type> Only models accepting this input, e.g. image (only for models; repeatable)
+  --sort <order>    Sort models by capability, price, context or name (only for models;
+                    default: capability)
+  --refresh         Fetch the model catalog even if the 24-hour cache is fresh (only for models)
+  --model <id>      Model written to _PROMPT.md and used for token counts (default: defaultModel config)
+  --template <name> Start the prompt file from a template (for new and the default command)
+  --var <name>=<value>
+                    Fill a template's {{name}} variable (repeatable); others are asked for
+  --config <key>=<value>
+                    Override a config value for this invocation (repeatable)
+  --no-redact       Send and copy file contents without replacing detected secrets (see Secrets)
+  --no-cache        Send requests even if the response cache holds an answer, and don't store the
+                    answers (see Response cache)
+  --format <format> How file contents are joined, for the clipboard and for run: comment (a fileHeader
+                    line before each file; the default), xml (<file path="..."> around a CDATA section),
+                    markdown (fenced blocks tagged with the language) or json (path, language, size and
+                    content)
+  --models <a,b,...>
+                    Send the conversation to several models at once and write each answer to its own
+                    "### LLM (model)" section with latency, tokens and cost (only for run)
+  --compare         Like --models, using the models listed in ### Model (only for run)
+  --fit             Drop the largest context files not mentioned in the conversation until the prompt
+                    fits the model's context window (only for run and ask)
+  --force           Send the prompt even if it exceeds the model's context window (only for run and ask),
+                    or overwrite an existing session (only for new)
+  --changed         Select files with uncommitted changes: staged, unstaged and untracked
+  --staged          Select files with staged changes
+  --since <ref>     Select files that differ from a git ref (branch, tag or commit), plus untracked
+                    files; for usage, only count usage since a date (see below)
+  --diff            Also embed the git diff for the selection (against HEAD for --changed or no
+                    selector) as its own section; run re-reads it every turn
+  --diff-context <n>
+                    Lines of context around each diff hunk (default: diffContextLines config, 3)
+  --outline [pattern1 pattern2 ...]
+                    Reduce JS/TS and Python files to imports, signatures and doc comments (all of
+                    them, or only those matching the paths or globs); listed as "- path (outline)"
+  --exclude pattern1 [pattern2 ...]
+                    Exclude files or directories matching the paths or globs (e.g. '**/*.test.ts')
+  --include pattern1 [pattern2 ...]
+                    Only keep files matching the paths or globs (e.g. 'src/**', 'lib/**/*.js')
+  --by <grouping>   Group usage by day, project, model or session (only for usage; default: day)
+  --since <date>    (usage) Only count usage since YYYY-MM-DD, today, or a span like 7d, 2w, 3m
+  --json            Print the usage report, model list or ask result as JSON (only for usage, models
+                    and ask)
 
 Arguments:
-  path1 path2 ...   Specific files or directories to include (if provided, only these are processed)
+  path1 path2 ...   Specific files or directories to include (if provided, only these are processed,
+                    along with any files picked by --changed, --staged or --since)
+
+Configuration:
+  Values come from built-in defaults, then ~/.gb9k/config.json, then the nearest .gb9krc (JSON) in
+  the current directory or its parents, then --config, --model and --format flags. Keys:
+  defaultModel, extensions, skipDirectories, ignore (gitignore-style patterns), systemPrompt, editor,
+  clipboard and clipboardFile (see Clipboard and editor), format (see --format), fileHeader (with
+  {path}), redactSecrets and secretAllowlist (see Secrets), attachmentFallback (see Attachments),
+  cache and cacheDir (see Response cache),
+  modelParameters ({ "<model id>" or "*": { "temperature": 0.2, ... } }), diffContextLines (for
+  --diff), watchTrigger and watchDebounce (milliseconds to wait after a save, default 300),
+  requestTimeout (seconds without any streamed data, default 120), maxRetries (retries on rate
+  limits, server errors and timeouts before the first token, default 3), tools, maxToolRounds and
+  maxToolTokens (see Tools), dailyBudget and monthlyBudget (USD) and budgetAction (warn or block).
+  editor, clipboardFile and cacheDir are ignored in .gb9krc, since they run a command or pick where
+  files are written.
+  Every run is recorded in ~/.gb9k/usage.jsonl; before sending, run estimates the worst-case cost
+  and warns, or with budgetAction block falls back to the next model or stops, if a budget would be
+  exceeded.
+
+Sessions:
+  Without a name, run and apply use _PROMPT.md if it exists, else the only session; with several
+  sessions and no _PROMPT.md they list the sessions and ask you to name one. In ### Context, adding
+  " (outline)" after a file or directory sends only its outline, and "git diff ..." entries are
+  rerun every turn.
+
+Clipboard and editor:
+  The clipboard config picks where copied content goes: system (the desktop clipboard), osc52 (an
+  escape sequence asking the terminal to set its clipboard, which works over SSH and in tmux), file
+  (clipboardFile, default ~/.gb9k/clipboard.txt) or none. auto, the default, uses osc52 in an SSH
+  session and otherwise the system clipboard, falling back to osc52 on a terminal. Prompt files open
+  in the editor config (a command such as vim or "code -w", or none), else $VISUAL or $EDITOR, else
+  code, vim or nano, whichever is installed. Failing to copy or to open an editor is reported, but
+  the prompt file is still written.
+
+Templates:
+  A template is a markdown file like a prompt file: an optional <!-- description --> line, then any
+  of ### Model, ### System (replaces systemPrompt), ### Parameters (a JSON object merged over
+  modelParameters), ### Context (paths and selectors such as --changed or --diff, used when the
+  command names none) and ### User (the prompt). {{name}} and {{name|default}} are filled from --var,
+  or asked for on a terminal. Built-in: review, tests, explain, refactor; add or override them with
+  <name>.md in ~/.gb9k/templates or .gb9k/templates. ### System and ### Parameters are copied into
+  the prompt file, where they can be added or edited by hand too.
+
+Scripting:
+  gb9k ask reads the question from stdin when it is - or left out, and never touches the clipboard,
+  an editor or a prompt file. The answer goes to stdout and a usage line to stderr; with --json,
+  stdout gets one object with model, answer, files, promptTokens, completionTokens, cost, durationMs,
+  interrupted and cached, or { "error": { "reason", "message" } }. Exit codes: 0 answered, 1 other error,
+  2 usage (no question, unknown model), 3 authentication (missing or rejected API key), 4 API error,
+  5 prompt too large for the model (see --fit and --force), 130 interrupted.
+
+Library:
+  import { collectFiles, buildContext, parsePromptFile, createRun } from 'gb9k' selects files, builds
+  context and runs conversations like the CLI, returning structured results and throwing typed errors
+  (AuthError, ContextLengthError, ApiError, ...) instead of printing and exiting. A run's warnings
+  (dropped, skipped or redacted files, budgets, ...) arrive as 'warning' events; see index.js.
+
+Response cache:
+  Every answer is stored in ~/.gb9k/cache (the cacheDir config), keyed by a hash of the provider,
+  model, parameters and exact messages sent, tool results included. Sending an identical request
+  again, e.g. rerunning a session after an accidental edit, replays the stored answer into the
+  prompt file instantly at no cost; /retry in chat and --no-cache ask again. The cache config sets
+  the mode: on (the default), off, record (always send, storing the answers) or replay (only replay,
+  failing on requests that were never recorded, without API keys or network; the catalog entries
+  of the recorded models are kept in models.json beside the answers). Record a session's runs with
+  --config cache=record --config cacheDir=<dir> and replay them the same way for deterministic
+  end-to-end tests. Keys number [REDACTED:...] placeholders instead of using their install-specific
+  hashes, so recordings replay on other machines too.
+
+Tools:
+  During run, chat and watch the model can call read-only tools (read_file, list_directory and
+  search_code) to look at project files beyond ### Context. They only see the files gb9k would pick
+  for the whole project, so ignored files stay hidden. Each call and its result are recorded in the
+  ### LLM section. maxToolRounds (default 8) and maxToolTokens (tokens per run, default 200000) cap
+  them; set tools to false to turn them off. Models whose catalog entry doesn't list tool support
+  don't get them; where the catalog doesn't say, local providers (ollama, llamacpp, vllm and others
+  marked "local") leave tools off unless providers.json sets "tools": true for them.
+
+Secrets:
+  Before file contents are copied or sent (including tool results), API keys, tokens, private keys,
+  passwords in connection strings, values assigned to names like apiKey or SECRET, and other
+  high-entropy strings are replaced with placeholders such as [REDACTED:api-key:1a2b3c4d]; the same
+  value always gets the same placeholder, a hash keyed with ~/.gb9k/redaction.key. Each file's
+  redactions are reported. To keep a value, add it (or a /regex/) to the secretAllowlist config, or
+  put gb9k:allow-secret on its line. apply treats a change that adds placeholders as failed, so a
+  placeholder is never written over a real secret without an explicit yes.
+
+Ignored files:
+  node_modules, .git, dist, build and lockfiles are always skipped. .gitignore files at every level
+  (including ! negations) and .gb9kignore files, which use the same syntax and are read after
+  .gitignore, are honored when walking directories. Files named explicitly are always included.
+  Binary files are skipped, as are files over maxFileKb (default 512) unless truncateLargeFiles is
+  set, which keeps their first and last lines instead. Files that would take the total past
+  maxTotalKb (default 8192) are skipped too; every skipped file is listed with the reason. Text that
+  is not valid UTF-8 is decoded as Latin-1 (or UTF-16 with a byte order mark), with a warning.
+
+Attachments:
+  .png, .jpg, .webp and .pdf files named as paths or in ### Context (not found by walking directories)
+  are sent to the model as images and documents rather than text, and listed with their resolution or
+  pages, size and estimated tokens. Images over 5 MB or 8000 px a side and PDFs over 32 MB or 100
+  pages are skipped. Models whose catalog entry doesn't list image input can't read them: run falls
+  back to the next model in ### Model or stops with an error, or with attachmentFallback set to text
+  sends the conversation without them.
+
+Providers:
+  The ### Model section of _PROMPT.md takes <provider>:<model>, e.g. anthropic:claude-3-5-sonnet-latest
+  or ollama:llama3.1. IDs without a known provider prefix go to OpenRouter. Models are checked against
+  the provider's catalog (see gb9k models). Several lines form a fallback chain: if a model errors,
+  is rate limited or is unavailable before answering, the next one is tried. Built-in providers are
+  openrouter, openai, anthropic, ollama, llamacpp and vllm; add OpenAI-compatible servers in
+  ~/.gb9k/providers.json as { "name": { "type": "openai", "baseUrl": "http://host:port/v1", "local": true } }
+  ("tools": true or false overrides whether the provider's models get tools; see Tools).
+  GB9K_<PROVIDER>_BASE_URL overrides a provider's base URL, and OPENROUTER_API_KEY,
+  OPENAI_API_KEY and ANTHROPIC_API_KEY override the stored keys.
 
 Examples:
   gb9k copy                   # Copy code files to clipboard without writing
   gb9k cleanup                # Delete all _PROMPT*.md files
+  gb9k new auth src/auth      # Start a session named auth in _PROMPT_auth.md
+  gb9k run auth               # Continue the auth session
+  gb9k chat auth              # Continue the auth session interactively, without an editor
+  gb9k watch                  # Send _PROMPT.md each time it is saved ending with /send
+  gb9k cleanup auth           # Delete only the auth session
   gb9k run                    # Run the prompt in _PROMPT.md via OpenRouter
-  gb9k set_api_key            # Set or update the API key
+  gb9k src --outline 'src/lib/**'  # Edit src in full with src/lib reduced to signatures
+  gb9k --changed --diff       # Prompt with the files you're editing and their uncommitted diff
+  gb9k new review --since main --diff  # Review everything changed since main
+  gb9k new --template tests --var framework=vitest src/parser.js
+                              # Ask for vitest tests of src/parser.js in _PROMPT_tests.md
+  gb9k run --models anthropic/claude-3.5-sonnet,openai/gpt-4o-mini  # Compare two models
+  gb9k ask "Summarize these changes" --staged --diff --json
+                              # Ask about the staged changes, printing the answer as JSON
+  cat question.txt | gb9k ask - src/parser.js
+                              # Ask the question in question.txt about src/parser.js
+  gb9k apply                  # Review and apply the changes from the last response
+  gb9k config set editor vim  # Open new prompt files in vim
+  gb9k --no-open --config clipboard=osc52
+                              # Copy through the terminal over SSH, without opening an editor
+  gb9k usage --by model --since 7d  # Cost per model over the last week
+  gb9k run --no-cache         # Ask again instead of replaying the cached answer
+  gb9k run --config cache=replay --config cacheDir=test/recordings
+                              # Replay recorded answers offline, e.g. in an end-to-end test
+  gb9k models --search sonnet --min-context 100k --sort price  # Cheapest large-context Sonnets
+  gb9k config set ignore '["coverage", "*.snap"]' --project
+                              # Ignore coverage output and snapshots in this project
+  gb9k set_api_key            # Set or update the OpenRouter API key
+  gb9k set_api_key anthropic  # Set or update the Anthropic API key
+  gb9k models --provider ollama
+                              # List models served by a local Ollama
   gb9k                        # Default: process files, copy to clipboard, write to _PROMPT.md
   gb9k --file output.txt      # Default with writing to output.txt
   gb9k --exclude src/dir2     # Default but exclude src/dir2
+  gb9k --exclude '**/*.test.ts' 'src/**/fixtures'
+                              # Default but exclude tests and fixtures anywhere
     `);
 }
 
-async function cleanupPromptFiles() {
-  const items = await fs.readdir(process.cwd(), { withFileTypes: true });
-  for (const item of items) {
-    if (item.isFile() && item.name.startsWith('_PROMPT') && item.name.endsWith('.md')) {
-      const fullPath = path.join(process.cwd(), item.name);
-      await fs.unlink(fullPath);
-      console.log(`Deleted ${item.name}`);
-    }
-  }
-  console.log('Cleanup complete');
-}
-
-async function processFiles(specificPaths, excludePaths) {
-  const files = await getAllCodeFiles(process.cwd(), specificPaths.length > 0 ? specificPaths : null, excludePaths);
-
-  if (files.length === 0) {
-    console.log('No code files found');
+// Collects the selection (see parseSelectorArgs) and prints each file's tokens and the totals
+async function processFiles(selection, model, config) {
+  const { files, attachments, found } = await collectFiles(selection, config);
+  if (files.length === 0 && attachments.length === 0) {
+    console.log(found === 0 ? 'No code files found' : 'No readable text files found');
     return null;
   }
 
-  const fileContents = await Promise.all(
-    files.map(async file => {
-      const relativePath = path.relative(process.cwd(), file);
-      const content = await fs.readFile(file, 'utf8');
-      return { relativePath, content };
-    })
-  );
-
-  const result = fileContents
-    .map(({ relativePath, content }) => `/* ~~~ ${relativePath} ~~~ */\n${content}`)
-    .join('\n\n');
-
-  const fileCount = files.length;
-  const lineCount = countLines(result);
-  const tokenCount = estimateTokens(result);
-
+  const { text, files: fileStats, stats } = await buildContext(files, config, model);
   console.log('\nIncluded files:');
-  fileContents.forEach(({ relativePath }) => {
-    console.log(`- ${relativePath}`);
-  });
+  for (const file of fileStats) {
+    console.log(file.outline
+      ? `- ${file.relativePath} (outline: ${formatNumber(file.tokens)} tokens, ${formatNumber(file.fullTokens)} in full)`
+      : `- ${file.relativePath} (${formatNumber(file.tokens)} tokens)`);
+  }
+  // Images and PDFs only reach models through run, chat, watch and ask; there's no text to copy
+  if (attachments.length > 0) {
+    console.log('\nAttachments (sent to models that accept images, not copied):');
+    for (const { relativePath, attachment } of attachments) {
+      console.log(`- ${relativePath} (${describeAttachment(attachment)})`);
+    }
+  }
 
   console.log('\nStats:');
-  console.log(`- Number of files: ${formatNumber(fileCount)}`);
-  console.log(`- Number of lines: ${formatNumber(lineCount)}`);
-  console.log(`- Estimated tokens: ${formatNumber(tokenCount)}`);
+  console.log(`- Number of files: ${formatNumber(stats.fileCount)}`);
+  console.log(`- Number of lines: ${formatNumber(stats.lineCount)}`);
+  console.log(`- ${stats.exactTokens ? 'Tokens' : 'Estimated tokens'}: ${formatNumber(stats.tokens)} (${model}, ${stats.tokenizer})`);
+  if (stats.outlineTokens > 0) {
+    console.log(`- Outlines: ${formatNumber(stats.fullTokens)} -> ${formatNumber(stats.outlineTokens)} tokens (${formatNumber(stats.tokens - stats.outlineTokens + stats.fullTokens)} without outlining)`);
+  }
+  if (attachments.length > 0) {
+    const attachmentTokens = attachments.reduce((total, { attachment }) => total + attachment.tokens, 0);
+    console.log(`- Attachments: ${formatNumber(attachments.length)} (~${formatNumber(attachmentTokens)} tokens estimated)`);
+    console.log(`- Attachment limits: ${describeAttachmentLimits()}`);
+  }
 
-  return { result, fileContents };
+  return { result: text, fileContents: files, attachments };
 }
 
 async function main() {
   try {
-    const args = process.argv.slice(2);
+    let args = process.argv.slice(2);
 
     if (args.includes('--help')) {
       showHelp();
       return;
     }
 
+    // --config key=value overrides any config key for this invocation
+    const configOverrides = {};
+    const { values: configValues, remaining: argsWithoutConfig } = extractRepeatedOption(args, '--config');
+    for (const entry of configValues) {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        throw new Error(`Expected --config key=value, got ${entry}`);
+      }
+      const key = entry.slice(0, separator);
+      configOverrides[key] = parseConfigValue(entry.slice(separator + 1), key);
+    }
+    const modelIndex = argsWithoutConfig.indexOf('--model');
+    if (modelIndex !== -1) {
+      configOverrides.defaultModel = argsWithoutConfig[modelIndex + 1];
+      argsWithoutConfig.splice(modelIndex, 2);
+    }
+    const noRedactIndex = argsWithoutConfig.indexOf('--no-redact');
+    if (noRedactIndex !== -1) {
+      configOverrides.redactSecrets = false;
+      argsWithoutConfig.splice(noRedactIndex, 1);
+    }
+    const noCacheIndex = argsWithoutConfig.indexOf('--no-cache');
+    if (noCacheIndex !== -1) {
+      configOverrides.cache = 'off';
+      argsWithoutConfig.splice(noCacheIndex, 1);
+    }
+    const formatIndex = argsWithoutConfig.indexOf('--format');
+    if (formatIndex !== -1) {
+      configOverrides.format = argsWithoutConfig[formatIndex + 1];
+      argsWithoutConfig.splice(formatIndex, 2);
+    }
+    setConfigOverrides(configOverrides);
+    args = argsWithoutConfig;
+
     const command = args[0] && !args[0].startsWith('--') ? args[0] : null;
     const argsWithoutCommand = command ? args.slice(1) : args;
+    const sessionName = argsWithoutCommand[0] && !argsWithoutCommand[0].startsWith('--') ? argsWithoutCommand[0] : null;
 
     if (command === 'run') {
-      await runPrompt();
+      const fit = argsWithoutCommand.includes('--fit');
+      const force = argsWithoutCommand.includes('--force');
+      const modelsIndex = argsWithoutCommand.indexOf('--models');
+      if (modelsIndex !== -1) {
+        const models = (argsWithoutCommand[modelsIndex + 1] || '').split(',').map(model => model.trim()).filter(Boolean);
+        await comparePrompt({ sessionName, models, fit, force });
+      } else if (argsWithoutCommand.includes('--compare')) {
+        await comparePrompt({ sessionName, fit, force });
+      } else {
+        await runPrompt({ sessionName, fit, force });
+      }
+      return;
+    }
+
+    if (command === 'ask') {
+      await ask(argsWithoutCommand);
+      return;
+    }
+
+    if (command === 'pick') {
+      const [first, second] = argsWithoutCommand.filter(arg => !arg.startsWith('--'));
+      await pickCommand(second === undefined ? { choice: first } : { sessionName: first, choice: second });
+      return;
+    }
+
+    if (command === 'watch') {
+      await watchPromptFile({ sessionName });
+      return;
+    }
+
+    if (command === 'chat') {
+      await chat({ sessionName });
+      return;
+    }
+
+    if (command === 'apply') {
+      const { failed } = await applyResponse({ sessionName, assumeYes: argsWithoutCommand.includes('--yes') });
+      if (failed.length > 0) {
+        process.exitCode = 1;
+      }
       return;
     }
 
     if (command === 'cleanup') {
-      await cleanupPromptFiles();
+      await cleanupSessions(sessionName);
       return;
     }
 
-    if (command === 'set_api_key') {
-      await prompt_user_for_api_key();
+    if (command === 'config') {
+      await configCommand(argsWithoutCommand);
+      return;
+    }
+
+    if (command === 'sessions') {
+      await listSessions();
+      return;
+    }
+
+    if (command === 'templates') {
+      await listTemplatesCommand();
+      return;
+    }
+
+    if (command === 'usage') {
+      await usageCommand(argsWithoutCommand);
+      return;
+    }
+
+    if (command === 'cache') {
+      await cacheCommand(argsWithoutCommand);
       return;
     }
 
-		if (command === 'models') {
-      await listModels();
+    if (command === 'set_api_key') {
+      await prompt_user_for_api_key(argsWithoutCommand[0]);
       return;
     }
 
-    let outputFile = null;
-    let fileNext = false;
-    const remainingArgsAfterFile = argsWithoutCommand.filter(arg => {
-      if (arg === '--file') {
-        fileNext = true;
-        return false;
+    if (command === 'models') {
+      const option = (flag) => {
+        const index = argsWithoutCommand.indexOf(flag);
+        return index !== -1 ? argsWithoutCommand[index + 1] : undefined;
+      };
+      const { values: modalities } = extractRepeatedOption(argsWithoutCommand, '--modality');
+      const minContext = option('--min-context');
+      const maxPrice = option('--max-price');
+      if (maxPrice !== undefined && Number.isNaN(Number(maxPrice))) {
+        throw new Error(`Invalid --max-price value: ${maxPrice}`);
       }
-      if (fileNext) {
-        if (arg.startsWith('--')) {
-          fileNext = false;
-          return true;
-        }
-        outputFile = arg;
-        return false;
+      await listModels({
+        providerName: option('--provider'),
+        search: option('--search') ?? null,
+        vendor: option('--vendor') ?? null,
+        minContext: minContext !== undefined ? parseTokenCount(minContext) : null,
+        maxPrice: maxPrice !== undefined ? Number(maxPrice) : null,
+        modalities: modalities.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+        sort: option('--sort') ?? 'capability',
+        json: argsWithoutCommand.includes('--json'),
+        refresh: argsWithoutCommand.includes('--refresh'),
+      });
+      return;
+    }
+
+    // --template <name> starts from a template; --var name=value fills its {{variables}}
+    const { values: templateNames, remaining: argsWithoutTemplate } = extractRepeatedOption(argsWithoutCommand, '--template');
+    const { values: templateValues, remaining: commandArgs } = extractRepeatedOption(argsWithoutTemplate, '--var');
+    const template = templateNames.length > 0 ? await findTemplate(templateNames.pop()) : null;
+
+    let session = DEFAULT_SESSION;
+    if (command === 'new') {
+      // Without a name, a template's session is named after the template
+      if (!sessionName && !template) {
+        throw new Error('Usage: gb9k new <name> [options] [paths...]');
       }
-      return true;
-    });
-
-    let excludePaths = new Set();
-    let excludeNext = false;
-    const remainingArgs = remainingArgsAfterFile.filter(arg => {
-      if (arg === '--exclude') {
-        excludeNext = true;
-        return false;
+      session = sessionName || template.name;
+      validateSessionName(session);
+      if (sessionName) {
+        commandArgs.shift();
       }
-      if (excludeNext) {
-        if (arg.startsWith('--')) {
-          excludeNext = false;
-          return true;
-        }
-        excludePaths.add(arg);
-        return false;
+    }
+    const promptFile = sessionFileName(session);
+    if (command === 'new' && !commandArgs.includes('--force')) {
+      const exists = await fs.access(promptFile).then(() => true, () => false);
+      if (exists) {
+        throw new Error(`Session ${session} already exists in ${promptFile}; continue it with \`gb9k run ${session}\`, or pass --force to start over`);
       }
-      return true;
-    });
+    }
+
+    const filled = template ? await fillTemplate(template, parseTemplateValues(templateValues)) : null;
+    // The template's context selectors apply unless the command names its own paths or selectors
+    if (filled && !namesContext(commandArgs)) {
+      commandArgs.push(...filled.contextArgs);
+    }
 
-    const specificPaths = remainingArgs
-      .map(p => path.resolve(p))
-      .filter(p => !excludePaths.has(p));
+    const config = await loadConfig();
+    // --model wins over the template's ### Model, which may list a fallback chain
+    const modelLines = filled?.models.length > 0 && modelIndex === -1 ? filled.models : [config.defaultModel];
+    const model = modelLines[0];
 
-    const processed = await processFiles(specificPaths, excludePaths);
+    const { values: outputFiles, remaining: argsWithoutFile } = extractRepeatedOption(commandArgs, '--file');
+    const outputFile = outputFiles.pop() ?? null;
+    const { selection } = await parseSelectorArgs(argsWithoutFile.filter(arg => arg !== '--force' && arg !== '--no-open'), config);
+    const processed = await processFiles(selection, model, config);
     if (!processed) {
       return;
     }
-    const { result, fileContents } = processed;
+    const { result, fileContents, attachments } = processed;
 
-    await clipboardy.write(result);
-    console.log('Content copied to clipboard');
+    // A missing clipboard (e.g. on a server without a display) only costs the copy
+    try {
+      const target = await copyToClipboard(result, config);
+      if (target) {
+        console.log(`Content copied to ${target}`);
+      } else if (command === 'copy') {
+        console.log('Nothing copied: the clipboard config is none');
+      }
+    } catch (error) {
+      console.error(`Could not copy to the clipboard: ${error.message}`);
+      if (command === 'copy') {
+        process.exitCode = 1;
+      }
+    }
 
     if (command === 'copy') {
       return;
     }
 
-    const fileList = fileContents.map(({ relativePath }) => `- ${relativePath}`).join('\n');
-    const promptContent = `<!--
-Enter your prompt at the bottom, then execute \`gb9k run\`
-When done, run \`gb9k cleanup\` to delete this file
--->
-
-### Model
-anthropic/claude-3.5-sonnet
-
-### Context
-${fileList}
-
------------
-
-### User
-`;
-    await fs.writeFile('_PROMPT.md', promptContent);
-    console.log('Content written to _PROMPT.md');
+    const contextEntries = [...fileContents.map(contextLabel), ...attachments.map(file => file.relativePath)];
+    await fs.writeFile(promptFile, formatPromptFile(promptFile, modelLines.join('\n'), contextEntries, filled ?? {}));
+    console.log(`Content written to ${promptFile}`);
 
     if (outputFile) {
       await fs.writeFile(outputFile, result);
       console.log(`Content written to ${outputFile}`);
     }
 
+    if (commandArgs.includes('--no-open') || config.editor === 'none') {
+      return;
+    }
+    const editor = resolveEditor(config);
+    if (!editor) {
+      console.log(`No editor found to open ${promptFile}; set $EDITOR or the editor config`);
+      return;
+    }
     try {
-      await execAsync('code _PROMPT.md');
-      console.log('Opened _PROMPT.md in VS Code');
+      await openInEditor(editor, promptFile);
+      console.log(`Opened ${promptFile} in ${editor}`);
     } catch (error) {
-      console.error('Error opening _PROMPT.md in VS Code:', error.message);
+      console.error(`Could not open ${promptFile} in ${editor}: ${error.message}`);
     }
 
   } catch (error) {
@@ -0,0 +1,299 @@
+import path from 'path';
+
+export const OUTLINE_MARKER = '(outline)';
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+const JS_ELIDED = '// ...';
+const PY_ELIDED = '...';
+
+// Declarations whose braces hold signatures rather than code, kept in full
+const JS_TYPE_BLOCK = /^(export\s+)?(declare\s+)?(interface|type|enum|const\s+enum)\b/;
+const JS_CLASS_BLOCK = /^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?class\b/;
+const JS_IMPORT = /^(import\b|export\s+(\*|\{|type\s+\{))/;
+// Characters after which a slash starts a regular expression rather than a division. `<`, `>` and
+// `}` are left out so JSX closing tags aren't mistaken for regexes.
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', ';', '+', '-', '*', '%', '~', '^']);
+
+export function supportsOutline(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return JS_EXTENSIONS.includes(extension) || PYTHON_EXTENSIONS.includes(extension);
+}
+
+// Context entries may end with " (outline)"
+export function parseContextEntry(entry) {
+  const outline = entry.endsWith(` ${OUTLINE_MARKER}`);
+  return { path: outline ? entry.slice(0, -OUTLINE_MARKER.length - 1).trim() : entry, outline };
+}
+
+// Brace depth at the start and end of every line, skipping strings, comments and regex literals.
+// Returns null when the braces don't balance, in which case the file is left alone.
+function braceDepths(lines) {
+  const depths = [];
+  const templateDepths = []; // Brace depth at which each open `${` started
+  let depth = 0;
+  let mode = 'code';
+  let previous = '';
+
+  for (const line of lines) {
+    const start = depth;
+    if (mode === 'lineComment') {
+      mode = 'code';
+    }
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      const next = line[i + 1];
+      if (mode === 'blockComment') {
+        if (char === '*' && next === '/') {
+          mode = 'code';
+          i++;
+        }
+      } else if (mode === 'single' || mode === 'double') {
+        if (char === '\\') {
+          i++;
+        } else if (char === (mode === 'single' ? "'" : '"')) {
+          mode = 'code';
+          previous = 'a';
+        }
+      } else if (mode === 'template') {
+        if (char === '\\') {
+          i++;
+        } else if (char === '`') {
+          mode = 'code';
+          previous = 'a';
+        } else if (char === '$' && next === '{') {
+          templateDepths.push(depth);
+          depth++;
+          mode = 'code';
+          previous = '{';
+          i++;
+        }
+      } else if (mode === 'regex') {
+        if (char === '\\') {
+          i++;
+        } else if (char === '[') {
+          mode = 'regexClass';
+        } else if (char === '/') {
+          mode = 'code';
+          previous = 'a';
+        }
+      } else if (mode === 'regexClass') {
+        if (char === '\\') {
+          i++;
+        } else if (char === ']') {
+          mode = 'regex';
+        }
+      } else if (mode === 'code') {
+        if (char === '/' && next === '/') {
+          mode = 'lineComment';
+          break;
+        } else if (char === '/' && next === '*') {
+          mode = 'blockComment';
+          i++;
+        } else if (char === "'" || char === '"') {
+          mode = char === "'" ? 'single' : 'double';
+        } else if (char === '`') {
+          mode = 'template';
+        } else if (char === '/' && (REGEX_PRECEDERS.has(previous) || /\b(return|typeof|case|in|of)\s*$/.test(line.slice(0, i)))) {
+          mode = 'regex';
+        } else if (char === '{') {
+          depth++;
+        } else if (char === '}') {
+          depth--;
+          if (templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth) {
+            templateDepths.pop();
+            mode = 'template';
+          }
+        }
+        if (mode === 'code' && !/\s/.test(char)) {
+          previous = /[\w$)\].]/.test(char) ? 'a' : char;
+        }
+      }
+    }
+    // Strings and regexes don't span lines (template literals and block comments can)
+    if (mode === 'single' || mode === 'double' || mode === 'regex' || mode === 'regexClass') {
+      mode = 'code';
+    }
+    depths.push({ start, end: depth });
+  }
+  return depth === 0 && mode !== 'template' && mode !== 'blockComment' ? depths : null;
+}
+
+function outlineJavaScript(content) {
+  const lines = content.split('\n');
+  const depths = braceDepths(lines);
+  if (!depths) {
+    return null;
+  }
+
+  const output = [];
+  // Lines deeper than keepDepth are elided; class bodies and type declarations raise it
+  const regions = [{ keepDepth: 0, until: -1 }];
+  let elided = false;
+  let keepStatement = false; // Inside a multi-line import/export list
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    const { start, end } = depths[i];
+    while (regions.length > 1 && start <= regions[regions.length - 1].until) {
+      regions.pop();
+    }
+    const { keepDepth } = regions[regions.length - 1];
+
+    if (start > keepDepth && end > keepDepth && !keepStatement) {
+      if (!elided) {
+        const indent = (lines[i].match(/^\s*/) || [''])[0];
+        output.push(`${indent}${JS_ELIDED}`);
+        elided = true;
+      }
+      continue;
+    }
+    elided = false;
+    if (trimmed === '' && output[output.length - 1]?.trim() === '') {
+      continue;
+    }
+    output.push(line);
+
+    if (start === keepDepth) {
+      if (JS_IMPORT.test(trimmed) && end > start) {
+        keepStatement = true;
+      } else if (JS_TYPE_BLOCK.test(trimmed) && end > start) {
+        regions.push({ keepDepth: Infinity, until: start });
+      } else if (JS_CLASS_BLOCK.test(trimmed) && end > start) {
+        regions.push({ keepDepth: start + 1, until: start });
+      }
+    }
+    if (keepStatement && end <= keepDepth) {
+      keepStatement = false;
+    }
+  }
+  return output.join('\n');
+}
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].length;
+}
+
+// Net bracket change of a Python line, ignoring strings and comments
+function pythonBracketDelta(line) {
+  const code = line.replace(/("""|''')[\s\S]*?\1|"(\\.|[^"\\])*"|'(\\.|[^'\\])*'/g, '""').replace(/#.*$/, '');
+  return (code.match(/[([{]/g) || []).length - (code.match(/[)\]}]/g) || []).length;
+}
+
+function outlinePython(content) {
+  const lines = content.split('\n');
+  const output = [];
+  let elideIndent = null; // Lines indented deeper than this are elided
+  let i = 0;
+
+  const pushBlank = () => {
+    if (output.length > 0 && output[output.length - 1].trim() !== '') {
+      output.push('');
+    }
+  };
+
+  // Copies a docstring starting at lines[index], if there is one, and returns the next index
+  const copyDocstring = (index) => {
+    while (index < lines.length && lines[index].trim() === '') index++;
+    const match = index < lines.length && lines[index].trim().match(/^[rRuUbBfF]{0,2}("""|''')/);
+    if (!match) {
+      return index;
+    }
+    const quote = match[1];
+    const first = lines[index].trim().slice(match[0].length);
+    let end = index;
+    if (!first.includes(quote)) {
+      end++;
+      while (end < lines.length && !lines[end].includes(quote)) end++;
+    }
+    output.push(...lines.slice(index, end + 1));
+    return end + 1;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    if (trimmed === '') {
+      pushBlank();
+      i++;
+      continue;
+    }
+    const indent = indentOf(line);
+    if (elideIndent !== null) {
+      if (indent > elideIndent) {
+        i++;
+        continue;
+      }
+      elideIndent = null;
+    }
+
+    // Gather the whole logical line: open brackets and trailing backslashes continue it
+    let end = i;
+    let brackets = pythonBracketDelta(line);
+    while (end + 1 < lines.length && (brackets > 0 || lines[end].trimEnd().endsWith('\\'))) {
+      end++;
+      brackets += pythonBracketDelta(lines[end]);
+    }
+    const statement = lines.slice(i, end + 1);
+    const opensBlock = /:\s*(#.*)?$/.test(lines[end]) && /^(async\s+def|def|class|if|elif|else|for|while|with|try|except|finally|match|case|async\s+for|async\s+with)\b/.test(trimmed);
+
+    if (opensBlock) {
+      output.push(...statement);
+      i = end + 1;
+      if (/^class\b/.test(trimmed)) {
+        i = copyDocstring(i); // Class bodies stay, so methods and fields are outlined in turn
+        continue;
+      }
+      if (/^(async\s+def|def)\b/.test(trimmed)) {
+        i = copyDocstring(i);
+      }
+      const bodyIndent = lines.slice(i).find(l => l.trim() !== '');
+      if (bodyIndent !== undefined && indentOf(bodyIndent) > indent) {
+        output.push(`${' '.repeat(indentOf(bodyIndent))}${PY_ELIDED}`);
+        elideIndent = indent;
+      }
+      continue;
+    }
+
+    // Long literals and calls keep their first and last lines; imports are always kept whole
+    if (statement.length > 3 && !/^(import|from)\s/.test(trimmed)) {
+      output.push(statement[0], `${' '.repeat(indentOf(statement[1]))}${PY_ELIDED}`, statement[statement.length - 1]);
+    } else {
+      output.push(...statement);
+    }
+    i = end + 1;
+  }
+  while (output.length > 0 && output[output.length - 1].trim() === '') {
+    output.pop();
+  }
+  return output.join('\n') + '\n';
+}
+
+// Reduces a JS/TS or Python file to imports, signatures, doc comments and declarations.
+// Returns null for other languages, or when the file can't be outlined reliably.
+export function outlineSource(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (JS_EXTENSIONS.includes(extension)) {
+    return outlineJavaScript(content);
+  }
+  if (PYTHON_EXTENSIONS.includes(extension)) {
+    return outlinePython(content);
+  }
+  return null;
+}
+
+// Swaps a { relativePath, content } entry's content for its outline, keeping the full text for
+// stats. Files that can't be outlined are returned unchanged with a warning.
+export function outlineFile(file) {
+  const outlined = outlineSource(file.relativePath, file.content);
+  if (outlined === null) {
+    console.warn(`Cannot outline ${file.relativePath}; including it in full`);
+    return file;
+  }
+  return { ...file, content: outlined, outline: true, fullContent: file.content };
+}
+
+// The name a file goes by in headers and the ### Context list
+export function contextLabel(file) {
+  return file.outline ? `${file.relativePath} ${OUTLINE_MARKER}` : file.relativePath;
+}
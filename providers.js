@@ -0,0 +1,354 @@
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { get_api_key } from './utils.js';
+import { CONFIG_DIR } from './config.js';
+
+const PROVIDERS_FILE = path.join(CONFIG_DIR, 'providers.json');
+const DEFAULT_PROVIDER = 'openrouter';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 8192;
+const ANTHROPIC_CONTEXT_LENGTH = 200000;
+
+// Built-in providers; ~/.gb9k/providers.json can add more or override these by name
+const BUILTIN_PROVIDERS = {
+  openrouter: { type: 'openrouter', baseUrl: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPENROUTER_API_KEY' },
+  openai: { type: 'openai', baseUrl: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+  anthropic: { type: 'anthropic', baseUrl: 'https://api.anthropic.com/v1', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+  ollama: { type: 'openai', baseUrl: 'http://localhost:11434/v1', local: true },
+  llamacpp: { type: 'openai', baseUrl: 'http://localhost:8080/v1', local: true },
+  vllm: { type: 'openai', baseUrl: 'http://localhost:8000/v1', local: true },
+};
+
+// USD per token; the Anthropic API does not publish prices, so they are bundled here
+const ANTHROPIC_PRICING = [
+  { prefix: 'claude-3-5-haiku', prompt: 0.0000008, completion: 0.000004 },
+  { prefix: 'claude-3-haiku', prompt: 0.00000025, completion: 0.00000125 },
+  { prefix: 'claude-3-opus', prompt: 0.000015, completion: 0.000075 },
+  { prefix: 'claude-opus-4', prompt: 0.000015, completion: 0.000075 },
+  { prefix: 'claude-3-5-sonnet', prompt: 0.000003, completion: 0.000015 },
+  { prefix: 'claude-3-7-sonnet', prompt: 0.000003, completion: 0.000015 },
+  { prefix: 'claude-sonnet-4', prompt: 0.000003, completion: 0.000015 },
+];
+
+let providerSettingsPromise = null;
+
+async function loadProviderSettings() {
+  let custom = {};
+  try {
+    custom = JSON.parse(await fs.readFile(PROVIDERS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Ignoring ${PROVIDERS_FILE}: ${error.message}`);
+    }
+  }
+  return { ...BUILTIN_PROVIDERS, ...custom };
+}
+
+function getProviderSettings() {
+  if (!providerSettingsPromise) {
+    providerSettingsPromise = loadProviderSettings();
+  }
+  return providerSettingsPromise;
+}
+
+// GB9K_<NAME>_BASE_URL points a provider elsewhere, e.g. at a mock server in tests
+function envBaseUrl(name) {
+  return process.env[`GB9K_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_BASE_URL`];
+}
+
+async function getJson(url, headers) {
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch models: ${response.status}`);
+  }
+  return response.json();
+}
+
+function openAIStreamParser(data) {
+  if (data === '[DONE]') {
+    return { done: true };
+  }
+  const parsed = JSON.parse(data);
+  if (parsed.error) {
+    // OpenRouter reports upstream failures mid-stream with the HTTP status as the code
+    const code = Number(parsed.error.code);
+    return {
+      error: parsed.error.message || JSON.stringify(parsed.error),
+      retryable: code === 429 || code >= 500,
+    };
+  }
+  const result = {};
+  const delta = parsed.choices?.[0]?.delta;
+  if (delta?.content) {
+    result.content = delta.content;
+  }
+  // Tool calls arrive in pieces: the id and name first, then the JSON arguments in fragments
+  if (delta?.tool_calls) {
+    result.toolCalls = delta.tool_calls.map(call => ({
+      index: call.index ?? 0,
+      id: call.id,
+      name: call.function?.name,
+      arguments: call.function?.arguments,
+    }));
+  }
+  if (parsed.usage) {
+    result.usage = {
+      promptTokens: parsed.usage.prompt_tokens || 0,
+      completionTokens: parsed.usage.completion_tokens || 0,
+    };
+  }
+  return result;
+}
+
+function anthropicStreamParser(data) {
+  const parsed = JSON.parse(data);
+  switch (parsed.type) {
+    case 'message_start':
+      return { usage: { promptTokens: parsed.message?.usage?.input_tokens || 0 } };
+    case 'content_block_start':
+      return parsed.content_block?.type === 'tool_use'
+        ? { toolCalls: [{ index: parsed.index, id: parsed.content_block.id, name: parsed.content_block.name }] }
+        : {};
+    case 'content_block_delta':
+      if (parsed.delta?.type === 'input_json_delta') {
+        return { toolCalls: [{ index: parsed.index, arguments: parsed.delta.partial_json }] };
+      }
+      return parsed.delta?.type === 'text_delta' ? { content: parsed.delta.text } : {};
+    case 'message_delta':
+      return { usage: { completionTokens: parsed.usage?.output_tokens || 0 } };
+    case 'message_stop':
+      return { done: true };
+    case 'error':
+      return {
+        error: parsed.error?.message || 'Unknown Anthropic API error',
+        retryable: ['overloaded_error', 'rate_limit_error', 'api_error'].includes(parsed.error?.type),
+      };
+    default:
+      return {};
+  }
+}
+
+// Assistant messages may carry toolCalls ({ id, name, arguments }) and tool results use the
+// 'tool' role with a toolCallId; each provider converts these to its own wire format. User content
+// may also be a list of text, image and document parts ({ name, mediaType, data } in base64).
+function toOpenAIPart(part) {
+  const url = `data:${part.mediaType};base64,${part.data}`;
+  switch (part.type) {
+    case 'image':
+      return { type: 'image_url', image_url: { url } };
+    case 'document':
+      return { type: 'file', file: { filename: part.name, file_data: url } };
+    default:
+      return { type: 'text', text: part.text };
+  }
+}
+
+function toOpenAIMessage(message) {
+  if (Array.isArray(message.content)) {
+    return { role: message.role, content: message.content.map(toOpenAIPart) };
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' },
+      })),
+    };
+  }
+  return message;
+}
+
+function toAnthropicBlocks(content) {
+  if (!Array.isArray(content)) {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    return {
+      type: part.type === 'document' ? 'document' : 'image',
+      source: { type: 'base64', media_type: part.mediaType, data: part.data },
+    };
+  });
+}
+
+function toAnthropicContent(message) {
+  if (message.role === 'tool') {
+    return [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }];
+  }
+  const blocks = toAnthropicBlocks(message.content);
+  for (const call of message.toolCalls || []) {
+    let input = {};
+    try {
+      input = JSON.parse(call.arguments || '{}');
+    } catch (error) {
+      // Malformed arguments were already reported back to the model as a tool error
+    }
+    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input });
+  }
+  return blocks;
+}
+
+function createOpenAIProvider(settings) {
+  const isOpenRouter = settings.type === 'openrouter';
+
+  const headers = (apiKey) => {
+    const result = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      result['Authorization'] = `Bearer ${apiKey}`;
+    }
+    if (isOpenRouter) {
+      result['HTTP-Referer'] = 'https://github.com/sosaysthecaptain/gb9k';
+      result['X-Title'] = 'gb9k';
+    }
+    return result;
+  };
+
+  return {
+    async fetchModels(apiKey) {
+      const responseData = await getJson(`${settings.baseUrl}/models`, headers(apiKey));
+      const models = responseData.data || responseData.models || [];
+      if (isOpenRouter) {
+        return models;
+      }
+      return models.map(model => ({
+        id: model.id,
+        name: model.id,
+        context_length: model.context_length || model.max_model_len || null,
+        // Local servers cost nothing; hosted OpenAI-compatible APIs don't publish prices
+        pricing: settings.local ? { prompt: 0, completion: 0 } : settings.pricing?.[model.id] || null,
+      }));
+    },
+
+    buildChatRequest({ apiKey, model, messages, parameters = {}, tools = null, toolChoice = 'auto' }) {
+      const body = { ...parameters, model, messages: messages.map(toOpenAIMessage), stream: true };
+      if (!isOpenRouter) {
+        body.stream_options = { include_usage: true };
+      }
+      if (tools) {
+        body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        body.tool_choice = toolChoice;
+      }
+      return { url: `${settings.baseUrl}/chat/completions`, headers: headers(apiKey), body };
+    },
+
+    parseStreamData: openAIStreamParser,
+  };
+}
+
+function createAnthropicProvider(settings) {
+  const headers = (apiKey) => ({
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+  });
+
+  return {
+    async fetchModels(apiKey) {
+      const responseData = await getJson(`${settings.baseUrl}/models?limit=1000`, headers(apiKey));
+      return (responseData.data || []).map(model => {
+        const price = ANTHROPIC_PRICING.find(p => model.id.startsWith(p.prefix));
+        return {
+          id: model.id,
+          name: model.display_name || model.id,
+          context_length: ANTHROPIC_CONTEXT_LENGTH,
+          pricing: price ? { prompt: price.prompt, completion: price.completion } : null,
+          architecture: { input_modalities: ['text', 'image'], output_modalities: ['text'] },
+        };
+      });
+    },
+
+    buildChatRequest({ apiKey, model, messages, parameters = {}, tools = null, toolChoice = 'auto' }) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      // The Messages API expects alternating turns, so consecutive same-role messages are merged.
+      // Tool results are sent as user turns.
+      const turns = [];
+      for (const message of messages.filter(m => m.role !== 'system')) {
+        const role = message.role === 'tool' ? 'user' : message.role;
+        const previous = turns[turns.length - 1];
+        let content = message.content;
+        if (message.role === 'tool' || message.toolCalls) {
+          content = toAnthropicContent(message);
+        } else if (Array.isArray(content)) {
+          content = toAnthropicBlocks(content);
+        }
+        if (previous && previous.role === role) {
+          if (typeof previous.content === 'string' && typeof content === 'string') {
+            previous.content += `\n\n${content}`;
+          } else {
+            const asBlocks = (value) => typeof value === 'string' ? [{ type: 'text', text: value }] : value;
+            previous.content = [...asBlocks(previous.content), ...asBlocks(content)];
+          }
+        } else {
+          turns.push({ role, content });
+        }
+      }
+
+      const body = { max_tokens: ANTHROPIC_MAX_TOKENS, ...parameters, model, messages: turns, stream: true };
+      if (system) {
+        body.system = system;
+      }
+      if (tools) {
+        body.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+        body.tool_choice = { type: toolChoice };
+      }
+      return { url: `${settings.baseUrl}/messages`, headers: headers(apiKey), body };
+    },
+
+    parseStreamData: anthropicStreamParser,
+  };
+}
+
+export async function getProvider(name = DEFAULT_PROVIDER) {
+  const allSettings = await getProviderSettings();
+  const settings = allSettings[name];
+  if (!settings) {
+    throw new Error(`Unknown provider: ${name}. Known providers are: ${Object.keys(allSettings).join(', ')}`);
+  }
+
+  if (!['openrouter', 'openai', 'anthropic'].includes(settings.type)) {
+    throw new Error(`Provider ${name} has unsupported type: ${settings.type}`);
+  }
+  const resolved = { ...settings, baseUrl: (envBaseUrl(name) || settings.baseUrl).replace(/\/+$/, '') };
+  const factory = resolved.type === 'anthropic' ? createAnthropicProvider : createOpenAIProvider;
+
+  return {
+    name,
+    type: resolved.type,
+    baseUrl: resolved.baseUrl,
+    local: Boolean(resolved.local),
+    // Whether to offer tools when the catalog doesn't say; many models on local servers reject them
+    supportsTools: resolved.tools ?? !resolved.local,
+    apiKeyEnv: resolved.apiKeyEnv || null,
+    requiresApiKey: !resolved.local,
+    ...factory(resolved),
+  };
+}
+
+// "anthropic:claude-3-5-sonnet-latest" selects a provider; anything without a known prefix goes to OpenRouter
+export async function resolveModelSpec(spec) {
+  const separator = spec.indexOf(':');
+  if (separator > 0) {
+    const prefix = spec.slice(0, separator);
+    const allSettings = await getProviderSettings();
+    if (allSettings[prefix]) {
+      return { provider: await getProvider(prefix), model: spec.slice(separator + 1) };
+    }
+  }
+  return { provider: await getProvider(DEFAULT_PROVIDER), model: spec };
+}
+
+export async function getProviderApiKey(provider) {
+  if (provider.apiKeyEnv && process.env[provider.apiKeyEnv]) {
+    return process.env[provider.apiKeyEnv];
+  }
+  return get_api_key(provider.name);
+}
@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const SNIFF_BYTES = 8000;
+const MAX_CONTROL_RATIO = 0.1;
+const HEAD_SHARE = 2 / 3; // Of a truncated file's excerpt; the rest comes from its end
+
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+// NUL bytes, or many control characters other than whitespace, mean the file isn't text
+function looksBinary(buffer) {
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) {
+      return true;
+    }
+    if (byte < 32 && ![9, 10, 12, 13].includes(byte)) {
+      control++;
+    }
+  }
+  return sample.length > 0 && control / sample.length > MAX_CONTROL_RATIO;
+}
+
+function utf16Encoding(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+// Decodes by byte order mark, else as UTF-8, falling back to Latin-1 for invalid UTF-8
+function decode(buffer) {
+  const utf16 = utf16Encoding(buffer);
+  if (utf16) {
+    return { content: new TextDecoder(utf16).decode(buffer.subarray(2)), encoding: utf16.toUpperCase() };
+  }
+  try {
+    return { content: new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer), encoding: 'UTF-8' };
+  } catch (error) {
+    return { content: new TextDecoder('latin1').decode(buffer), encoding: 'Latin-1' };
+  }
+}
+
+// Reads a file as text. Returns { binary: true } for binary files; encoding is the one used to
+// decode it, which is only worth a warning when it isn't UTF-8.
+export async function readTextFile(fullPath) {
+  const buffer = await fs.readFile(fullPath);
+  // UTF-16 text is full of NUL bytes, so it is recognized by its byte order mark first
+  if (!utf16Encoding(buffer) && looksBinary(buffer)) {
+    return { binary: true, size: buffer.length };
+  }
+  return { binary: false, size: buffer.length, ...decode(buffer) };
+}
+
+// Drops the bytes of a UTF-8 character cut off at the end of buffer
+function trimPartialEnd(buffer) {
+  let start = buffer.length - 1;
+  while (start > 0 && start >= buffer.length - 3 && (buffer[start] & 0xc0) === 0x80) {
+    start--;
+  }
+  const lead = buffer[start];
+  const length = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return start + length > buffer.length ? buffer.subarray(0, start) : buffer;
+}
+
+// Drops the continuation bytes of a UTF-8 character cut off at the start of buffer
+function trimPartialStart(buffer) {
+  let start = 0;
+  while (start < 3 && start < buffer.length && (buffer[start] & 0xc0) === 0x80) {
+    start++;
+  }
+  return buffer.subarray(start);
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Reads only the start and end of a file over maxBytes, so even a huge generated file costs no
+// more memory than its excerpt. The excerpt is cut at line boundaries where there are any, with a
+// marker between the parts; the lines in between are never read, so the marker gives their size.
+// Returns the same shape as readTextFile, with truncated set.
+export async function readTextExcerpt(fullPath, maxBytes) {
+  const handle = await fs.open(fullPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const headLength = Math.floor(maxBytes * HEAD_SHARE);
+    const tailLength = Math.min(maxBytes - headLength, size - headLength);
+    let head = await readAt(handle, 0, headLength);
+    const utf16 = utf16Encoding(head);
+    if (!utf16 && looksBinary(head)) {
+      return { binary: true, size };
+    }
+    // UTF-16 characters are two bytes from the byte order mark on
+    let tail = await readAt(handle, size - tailLength + (utf16 ? (size - tailLength) % 2 : 0), tailLength);
+    let encoding;
+    if (utf16) {
+      head = head.subarray(2, head.length - (head.length % 2));
+      tail = tail.subarray(0, tail.length - (tail.length % 2));
+      encoding = utf16;
+    } else {
+      head = trimPartialEnd(head);
+      tail = trimPartialStart(tail);
+      encoding = 'utf-8';
+    }
+    let headText, tailText;
+    try {
+      const decoder = new TextDecoder(encoding, { fatal: true, ignoreBOM: encoding !== 'utf-8' });
+      headText = decoder.decode(head);
+      tailText = decoder.decode(tail);
+    } catch (error) {
+      encoding = 'latin1';
+      headText = new TextDecoder('latin1').decode(head);
+      tailText = new TextDecoder('latin1').decode(tail);
+    }
+
+    // Cut at the last newline of the head and the first of the tail, when there is one
+    const headEnd = headText.lastIndexOf('\n');
+    const tailStart = tailText.indexOf('\n');
+    if (headEnd !== -1 && tailStart !== -1) {
+      headText = headText.slice(0, headEnd);
+      tailText = tailText.slice(tailStart + 1);
+    }
+    const byteLength = (text) => (encoding === 'utf-8' ? Buffer.byteLength(text) : text.length * (utf16 ? 2 : 1));
+    const omittedBytes = size - (utf16 ? 2 : 0) - byteLength(headText) - byteLength(tailText);
+    const marker = `... [${formatSize(Math.max(omittedBytes, 0))} omitted by gb9k] ...`;
+    return {
+      binary: false,
+      size,
+      content: `${headText}\n${marker}\n${tailText}`,
+      encoding: encoding === 'latin1' ? 'Latin-1' : encoding.toUpperCase(),
+      truncated: true,
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Reads the files to concatenate or send, skipping binaries and applying the maxFileKb and
+// maxTotalKb caps (files over maxFileKb are excerpted instead when truncateLargeFiles is set).
+// Returns { fullPath, relativePath, content, encoding, truncated } entries and { relativePath, reason }
+// for skipped files. The encoding and truncation warnings go to warn; quiet leaves them to the caller.
+export async function readContextFiles(fullPaths, config, { root = process.cwd(), quiet = false, warn = console.warn } = {}) {
+  const maxFileBytes = config.maxFileKb * 1024;
+  const maxTotalBytes = config.maxTotalKb * 1024;
+  const files = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  for (const fullPath of fullPaths) {
+    const relativePath = path.relative(root, fullPath);
+    let file;
+    try {
+      // Oversized files are skipped or excerpted without reading them whole
+      const { size } = await fs.stat(fullPath);
+      if (size > maxFileBytes && !config.truncateLargeFiles) {
+        skipped.push({ relativePath, reason: `${formatSize(size)}, over the ${formatSize(maxFileBytes)} maxFileKb cap` });
+        continue;
+      }
+      file = size > maxFileBytes ? await readTextExcerpt(fullPath, maxFileBytes) : await readTextFile(fullPath);
+    } catch (error) {
+      skipped.push({ relativePath, reason: `unreadable (${error.message})` });
+      continue;
+    }
+    if (file.binary) {
+      skipped.push({ relativePath, reason: 'binary' });
+      continue;
+    }
+    if (file.encoding !== 'UTF-8' && !quiet) {
+      warn(`Warning: ${relativePath} is not UTF-8; decoded it as ${file.encoding}`);
+    }
+
+    const { content } = file;
+    const truncated = Boolean(file.truncated);
+    if (truncated) {
+      if (!quiet) {
+        warn(`Truncated ${relativePath} (${formatSize(file.size)}) to its first and last lines`);
+      }
+    }
+
+    const bytes = Buffer.byteLength(content);
+    if (totalBytes + bytes > maxTotalBytes) {
+      skipped.push({ relativePath, reason: `${formatSize(bytes)} would exceed the ${formatSize(maxTotalBytes)} maxTotalKb cap` });
+      continue;
+    }
+    totalBytes += bytes;
+    files.push({ fullPath, relativePath, content, encoding: file.encoding, truncated });
+  }
+
+  return { files, skipped };
+}
+
+export function printSkippedFiles(skipped, warn = console.warn) {
+  if (skipped.length === 0) {
+    return;
+  }
+  warn(`\nSkipped ${skipped.length} file(s):`);
+  skipped.forEach(({ relativePath, reason }) => warn(`- ${relativePath}: ${reason}`));
+}
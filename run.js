@@ -1,27 +1,31 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { get_api_key, getAllCodeFiles, getModels, formatPrice } from './utils.js';
+import { EventEmitter } from 'events';
+import { getAllCodeFiles, getModels, formatPrice, findSimilarModels } from './utils.js';
 import fetch from 'node-fetch';
+import { getProvider, resolveModelSpec, getProviderApiKey } from './providers.js';
+import { getTokenizer, countMessageTokens, describeTokenizer } from './tokens.js';
+import { findSessionFile, recordSessionRun, sessionCommand, sessionNameFromFile, splitPromptHeader } from './sessions.js';
+import { loadConfig, getModelParameters } from './config.js';
+import { recordUsage, checkBudgets } from './usage.js';
+import { createSSEParser } from './sse.js';
+import { createResponseCache } from './cache.js';
+import { isGitDiffEntry, readGitDiff } from './git.js';
+import { parseContextEntry, outlineFile, supportsOutline, contextLabel } from './outline.js';
+import { createToolSession, describeToolCall } from './tools.js';
+import { formatFiles } from './format.js';
+import { redactFiles } from './secrets.js';
+import { readContextFiles, printSkippedFiles } from './read.js';
+import { isAttachment, readAttachments, acceptsAttachment, attachmentParts } from './attachments.js';
+import {
+  PromptFileError, ModelError, AuthError, ContextLengthError, BudgetError, ApiError, InterruptedError,
+} from './errors.js';
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const VALID_MODELS = [
-  'anthropic/claude-3.5-sonnet',
-  'meta-llama/llama-3.1-405b-instruct',
-  'openai/gpt-4o',
-  'mistral/mixtral-8x22b-instruct',
-  'google/gemini-pro-1.5',
-  'meta-llama/llama-4-maverick',
-  'meta-llama/llama-3-70b-instruct',
-  'mistral/mistral-small-3.1',
-  'openrouter/optimus-alpha',
-  'cloudflare/gemma-7b',
-  'cloudflare/llama-3.3-70b',
-  'cloudflare/llama-3.1-70b',
-  'cloudflare/deepseek-r1-distill-qwen-32b',
-  'openrouter/auto',
-];
-const DEFAULT_MODEL = 'anthropic/claude-3.5-sonnet';
-const SYSTEM_MESSAGE = `You are a coding assistant. You will receive: (1) a list of relevant files, (2) the contents of those files, and (3) the user's prompt and subsequent conversation. Provide useful modifications to files in code blocks labeled with the file name after the opening triple backticks, and then the operation (<REWRITE>, <MODIFICATION>) (e.g., \`\`\`main.js <REWRITE>). Separate each code file modification with a line containing only three dashes (---).`;
+const OUTPUT_TOKEN_RESERVE = 4096; // Room left for the response, capped at a quarter of the window
+const CONTEXT_WARNING_RATIO = 0.9;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+export const COMPARISON_HEADING_REGEX = /^### LLM \((.+)\)$/m;
 
 function calculatePrice(promptTokens, completionTokens, model, models) {
   const modelInfo = models.find(m => m.id === model);
@@ -41,29 +45,30 @@ function calculatePrice(promptTokens, completionTokens, model, models) {
   };
 }
 
-async function findPromptFile() {
-  const items = await fs.readdir(process.cwd(), { withFileTypes: true });
-  for (const item of items) {
-    if (item.isFile() && item.name.startsWith('_PROMPT') && item.name.endsWith('.md')) {
-      return path.join(process.cwd(), item.name);
-    }
-  }
-  throw new Error('No markdown file starting with _PROMPT found in the current directory.');
-}
+export async function parsePromptFile(filePath) {
+  const [header, rest] = splitPromptHeader(await fs.readFile(filePath, 'utf8'));
 
-async function parsePromptFile(filePath) {
-  const content = await fs.readFile(filePath, 'utf8');
-
-  // Extract model
-  const modelMatch = content.match(/### Model\n([\s\S]*?)(?=\n###|\n---|$)/);
-  let model = modelMatch ? modelMatch[1].trim() : DEFAULT_MODEL;
-  if (!VALID_MODELS.includes(model)) {
-    console.warn(`Invalid model ID: ${model}. Falling back to ${DEFAULT_MODEL}. Valid models are: ${VALID_MODELS.join(', ')}`);
-    model = DEFAULT_MODEL;
+  // Extract model; several lines form a fallback chain tried in order
+  const modelMatch = header.match(/### Model\n([\s\S]*?)(?=\n###|\n---|$)/);
+  const modelSpecs = modelMatch
+    ? modelMatch[1]
+        .split('\n')
+        .map(line => line.trim().replace(/^- /, ''))
+        .filter(line => line && !line.startsWith('<!--'))
+    : [];
+  if (modelSpecs.length === 0) {
+    modelSpecs.push((await loadConfig()).defaultModel);
   }
+  const modelChain = await Promise.all(modelSpecs.map(spec => resolveModelSpec(spec)));
+
+  // A session's own system prompt and parameters, e.g. from a template, replace the configured ones
+  const systemMatch = header.match(/### System\n([\s\S]*?)(?=\n###|\n---|$)/);
+  const system = systemMatch ? systemMatch[1].trim() || null : null;
+  const parametersMatch = header.match(/### Parameters\n([\s\S]*?)(?=\n###|\n---|$)/);
+  const parameters = parametersMatch ? parseParametersSection(parametersMatch[1]) : {};
 
   // Extract context
-  const contextMatch = content.match(/### Context\n([\s\S]*?)(?=\n###|\n---|$)/);
+  const contextMatch = header.match(/### Context\n([\s\S]*?)(?=\n###|\n---|$)/);
   const contextFiles = contextMatch
     ? contextMatch[1]
         .split('\n')
@@ -72,12 +77,16 @@ async function parsePromptFile(filePath) {
     : [];
 
   // Extract conversation after ---
-  const conversationMatch = content.match(/---\n([\s\S]*)$/);
+  const conversationMatch = rest.match(/^-{3,}[ \t]*\n([\s\S]*)$/);
   if (!conversationMatch) {
-    throw new Error('No conversation section found after --- in the prompt file.');
+    throw new PromptFileError('No conversation section found after --- in the prompt file.');
   }
 
   const conversationText = conversationMatch[1];
+  // Answers from a comparison run wait in "### LLM (model)" sections until one is picked
+  if (COMPARISON_HEADING_REGEX.test(conversationText)) {
+    throw new PromptFileError(`The last turn has answers from several models; keep one with \`${sessionCommand('pick', filePath)} <model>\` first.`);
+  }
   const messages = [];
   const messageRegex = /(### (User|LLM)\n([\s\S]*?))(?=### (User|LLM)\n|$)/g;
   let match;
@@ -90,236 +99,1122 @@ async function parsePromptFile(filePath) {
     }
   }
 
-  return { model, contextFiles, messages };
+  return { modelChain, contextFiles, messages, system, parameters };
+}
+
+// The JSON object of a ### Parameters section, such as { "temperature": 0.2 }
+export function parseParametersSection(text) {
+  let parameters;
+  try {
+    parameters = JSON.parse(text.trim() || '{}');
+  } catch (error) {
+    throw new PromptFileError(`### Parameters must be a JSON object: ${error.message}`);
+  }
+  if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+    throw new PromptFileError('### Parameters must be a JSON object');
+  }
+  return parameters;
+}
+
+// A new prompt file ending in a ### User section, empty unless a template gave a prompt. model may
+// hold several lines (a fallback chain); system and parameters add the sections that override config.
+export function formatPromptFile(promptFile, model, contextEntries, { system = null, parameters = null, prompt = '' } = {}) {
+  const sessionSections = [
+    system ? `### System\n${system}\n\n` : '',
+    parameters ? `### Parameters\n${JSON.stringify(parameters, null, 2)}\n\n` : '',
+  ].join('');
+  return `<!--
+Enter your prompt at the bottom, then execute \`${sessionCommand('run', promptFile)}\`
+When done, run \`${sessionCommand('cleanup', promptFile)}\` to delete this file
+-->
+
+### Model
+${model}
+
+${sessionSections}### Context
+${contextEntries.map(entry => `- ${entry}`).join('\n')}
+
+-----------
+
+### User
+${prompt ? `${prompt}\n` : ''}`;
 }
 
-async function getFileContents(contextFiles) {
+// The text files and the image and PDF attachments the ### Context entries name
+async function getFileContents(contextFiles, config, warn = console.warn) {
   if (contextFiles.length === 0) {
-    return '';
+    return { files: [], attachments: [] };
   }
 
-  // Resolve context file paths relative to current directory
-  const specificPaths = contextFiles.map(file => path.resolve(process.cwd(), file));
+  // `git diff ...` entries are rerun every turn so the model always sees the current changes
+  const diffs = [];
+  for (const entry of contextFiles.filter(isGitDiffEntry)) {
+    try {
+      diffs.push({ relativePath: entry, content: await readGitDiff(entry) });
+    } catch (error) {
+      warn(`Failed to read ${entry}: ${error.message}`);
+    }
+  }
+
+  // Resolve context file paths relative to current directory; "(outline)" also covers directories
+  const entries = contextFiles
+    .filter(entry => !isGitDiffEntry(entry))
+    .map(parseContextEntry)
+    .map(entry => ({ ...entry, path: path.resolve(process.cwd(), entry.path) }));
+  const specificPaths = entries.map(entry => entry.path);
+  const outlineRoots = entries.filter(entry => entry.outline).map(entry => entry.path);
+  // Unsupported files inside an outlined directory are sent in full without a warning
+  const isOutlined = (file) => outlineRoots.some(root => file === root || (file.startsWith(root + path.sep) && supportsOutline(file)));
   // Only exclude _PROMPT files, not the context files themselves
   const excludePaths = new Set();
-  const files = await getAllCodeFiles(process.cwd(), specificPaths, excludePaths);
-
-  if (files.length === 0) {
-    console.warn('No valid code files found for the provided context.');
-    return '';
-  }
-
-  const fileContents = await Promise.all(
-    files.map(async file => {
-      const relativePath = path.relative(process.cwd(), file);
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        return { relativePath, content };
-      } catch (error) {
-        console.warn(`Failed to read file ${relativePath}: ${error.message}`);
-        return null;
-      }
-    })
-  );
+  const files = specificPaths.length > 0 ? await getAllCodeFiles(process.cwd(), specificPaths, excludePaths, config) : [];
 
-  // Filter out any failed reads
+  if (files.length === 0 && diffs.length === 0) {
+    warn('No valid code files found for the provided context.');
+    return { files: [], attachments: [] };
+  }
+
+  // Binary, unreadable and oversized files are left out with a warning
+  const { files: read, skipped } = await readContextFiles(files.filter(file => !isAttachment(file)), config, { warn });
+  const { attachments, skipped: skippedAttachments } = await readAttachments(files.filter(isAttachment));
+  printSkippedFiles([...skipped, ...skippedAttachments], warn);
+  const fileContents = read.map(({ fullPath, ...file }) => isOutlined(fullPath) ? outlineFile(file) : file);
+
+  return { files: [...fileContents, ...diffs], attachments };
+}
+
+function buildApiMessages(config, contextFiles, fileContents, messages, omittedFiles = [], attachments = []) {
+  let fileList = contextFiles.length > 0 ? contextFiles.join('\n') : 'None';
+  if (omittedFiles.length > 0) {
+    fileList += `\n\nOmitted to fit the context window:\n${omittedFiles.join('\n')}`;
+  }
+  const apiMessages = [
+    { role: 'system', content: config.systemPrompt },
+    { role: 'user', content: `Relevant files:\n${fileList}` },
+  ];
+
+  if (fileContents.length > 0) {
+    const outlineNote = fileContents.some(file => file.outline)
+      ? '\n\nFiles marked as outlines only show imports, signatures and doc comments; elided bodies appear as "...". Ask for the full file before modifying one.'
+      : '';
+    apiMessages.push({ role: 'user', content: `File contents:\n${formatFiles(fileContents, config)}${outlineNote}` });
+  }
+  if (attachments.length > 0) {
+    apiMessages.push({ role: 'user', content: attachmentParts(attachments) });
+  }
+
+  apiMessages.push(...messages);
+  return apiMessages;
+}
+
+// Files not mentioned in the conversation go first, largest first within each group
+function orderFilesForDropping(fileContents, messages, tokenizer) {
+  const conversation = messages.map(m => m.content).join('\n');
   return fileContents
-    .filter(item => item !== null)
-    .map(({ relativePath, content }) => `/* ~~~ ${relativePath} ~~~ */\n${content}`)
-    .join('\n\n');
+    .map(file => ({
+      file,
+      tokens: tokenizer.count(file.content),
+      mentioned: conversation.includes(file.relativePath) || conversation.includes(path.basename(file.relativePath)),
+    }))
+    .sort((a, b) => (a.mentioned - b.mentioned) || (b.tokens - a.tokens));
 }
 
-async function initializePromptFile(promptFile) {
+// Checks the prompt against the model's context window, dropping files when fit is set; throws if it can't fit
+function fitToContextWindow({
+  config, contextFiles, fileContents, attachments = [], messages, tokenizer, contextLength, fit, force, log = console.log,
+  warn = console.warn,
+}) {
+  let apiMessages = buildApiMessages(config, contextFiles, fileContents, messages, [], attachments);
+  let promptTokens = countMessageTokens(apiMessages, tokenizer);
+
+  if (attachments.length > 0) {
+    const attachmentTokens = attachments.reduce((total, { attachment }) => total + attachment.tokens, 0);
+    log(`Attached ${attachments.length} image(s) and PDF(s): ~${attachmentTokens.toLocaleString()} tokens (estimated)`);
+  }
+
+  const outlined = fileContents.filter(file => file.outline);
+  if (outlined.length > 0) {
+    const fullTokens = outlined.reduce((total, file) => total + tokenizer.count(file.fullContent), 0);
+    const outlineTokens = outlined.reduce((total, file) => total + tokenizer.count(file.content), 0);
+    log(`Outlined ${outlined.length} file(s): ${fullTokens.toLocaleString()} -> ${outlineTokens.toLocaleString()} tokens`);
+  }
+
+  if (!contextLength) {
+    log(`Prompt: ${promptTokens.toLocaleString()} tokens (${describeTokenizer(tokenizer)}); context length unknown for this model`);
+    return { apiMessages, promptTokens };
+  }
+
+  const budget = contextLength - Math.min(OUTPUT_TOKEN_RESERVE, Math.floor(contextLength / 4));
+  log(`Prompt: ${promptTokens.toLocaleString()} of ${contextLength.toLocaleString()} context tokens (${describeTokenizer(tokenizer)})`);
+
+  if (promptTokens > budget && fit) {
+    const dropOrder = orderFilesForDropping(fileContents, messages, tokenizer);
+    const omitted = [];
+    for (const { file, tokens } of dropOrder) {
+      if (promptTokens <= budget) {
+        break;
+      }
+      omitted.push(file.relativePath);
+      warn(`Dropping ${file.relativePath} (${tokens.toLocaleString()} tokens) to fit the context window`);
+      const kept = fileContents.filter(f => !omitted.includes(f.relativePath));
+      apiMessages = buildApiMessages(config, contextFiles, kept, messages, omitted, attachments);
+      promptTokens = countMessageTokens(apiMessages, tokenizer);
+    }
+    log(`Prompt after fitting: ${promptTokens.toLocaleString()} tokens`);
+  }
+
+  if (promptTokens > budget) {
+    if (force) {
+      warn(`Warning: prompt exceeds the ${budget.toLocaleString()} token budget for this model; sending anyway (--force)`);
+      return { apiMessages, promptTokens };
+    }
+    const largest = orderFilesForDropping(fileContents, [], tokenizer)
+      .slice(0, 10)
+      .map(({ file, tokens }) => `- ${file.relativePath}: ${tokens.toLocaleString()} tokens`);
+    throw new ContextLengthError([
+      `Prompt is ${promptTokens.toLocaleString()} tokens, over the ${budget.toLocaleString()} token budget for this model (${contextLength.toLocaleString()} context minus room for the response).`,
+      ...(largest.length > 0 ? ['', 'Largest context files:', ...largest] : []),
+      '',
+      'Remove files from ### Context, or rerun with --fit to drop files automatically or --force to send anyway.',
+    ].join('\n'), { promptTokens, budget, contextLength });
+  }
+
+  if (promptTokens > budget * CONTEXT_WARNING_RATIO) {
+    warn(`Warning: prompt uses ${Math.round((promptTokens / contextLength) * 100)}% of the model's context window`);
+  }
+  return { apiMessages, promptTokens };
+}
+
+async function initializePromptFile(promptFile, onWrite = null) {
   const originalContent = await fs.readFile(promptFile, 'utf8');
-  // Ensure the file ends with ### LLM section for incremental updates
-  if (!originalContent.includes('### LLM')) {
-    await fs.appendFile(promptFile, '\n\n### LLM\n', { encoding: 'utf8' });
+  // Start a new ### LLM section unless the file already ends with an empty one
+  if (!/### LLM\n\s*$/.test(originalContent)) {
+    await appendToPromptFile(promptFile, '\n\n### LLM\n', false, onWrite);
   }
 }
 
-async function appendToPromptFile(promptFile, content, isFinal = false) {
+// The ### User section started after each answer
+export function nextPromptSection(promptFile) {
+  return `\n\n### User\n<!-- Enter your next prompt here, then execute \`${sessionCommand('run', promptFile)}\` -->`;
+}
+
+// onWrite receives each piece of text as it is appended
+async function appendToPromptFile(promptFile, content, isFinal = false, onWrite = null) {
   // Append content to the ### LLM section
   await fs.appendFile(promptFile, content, { encoding: 'utf8' });
+  onWrite?.(content);
   if (isFinal) {
     // Add new ### User section after streaming is complete
-    await fs.appendFile(promptFile, '\n\n### User\n<!-- Enter your next prompt here, then execute `gb9k run` -->', { encoding: 'utf8' });
+    const section = nextPromptSection(promptFile);
+    await fs.appendFile(promptFile, section, { encoding: 'utf8' });
+    onWrite?.(section);
   }
 }
 
-export async function listModels() {
-  const apiKey = await get_api_key();
-  if (!apiKey) {
-    console.error('API key not set. Please run `gb9k set_api_key` first.');
+function missingApiKeyMessage(provider) {
+  const setCommand = provider.name === 'openrouter' ? 'gb9k set_api_key' : `gb9k set_api_key ${provider.name}`;
+  const envHint = provider.apiKeyEnv ? ` or set ${provider.apiKeyEnv}` : '';
+  return `API key for ${provider.name} not set. Please run \`${setCommand}\` first${envHint}.`;
+}
+
+function requireApiKey(provider, apiKey) {
+  if (provider.requiresApiKey && !apiKey) {
+    console.error(missingApiKeyMessage(provider));
     process.exit(1);
   }
+}
 
-  const models = await getModels(apiKey);
-  if (!Array.isArray(models) || models.length === 0) {
-    console.error('No models available or invalid response from API.');
-    process.exit(1);
+export function describeCandidate({ provider, model }) {
+  return provider.name === 'openrouter' ? model : `${provider.name}:${model}`;
+}
+
+// Checks every model in the chain against its provider's catalog, suggesting close matches for typos
+export async function validateModelChain(modelChain, { quiet = false, warn = console.warn } = {}) {
+  const problems = [];
+  for (const candidate of modelChain) {
+    const apiKey = await getProviderApiKey(candidate.provider);
+    const models = await getModels(apiKey, candidate.provider, { quiet, warn });
+    if (models.length === 0) {
+      warn(`Could not load the ${candidate.provider.name} model catalog; not validating ${candidate.model}`);
+      continue;
+    }
+    if (!models.some(m => m.id === candidate.model)) {
+      const suggestions = findSimilarModels(candidate.model, models);
+      problems.push(`Unknown ${candidate.provider.name} model: ${candidate.model}.` +
+        (suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : ' Run `gb9k models` to see available models.'));
+    }
   }
+  return problems;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// One request. `signal` aborting (Ctrl-C) ends the stream early and returns what arrived so far.
+async function streamAttempt({ provider, request, onContent, signal, timeoutMs }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  if (signal?.aborted) {
+    abort();
+  }
+
+  // The timeout covers waiting for the response and every gap between chunks, keep-alives included
+  let timedOut = false;
+  let timer;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  let responseText = '';
+  let promptTokens = 0;
+  let completionTokens = 0;
+  const toolCalls = [];
 
-  // Sort models by their likely code capability
-  const modelPriority = {
-    'claude-3': 1,
-    'gemini-2': 2,
-    'gemini-pro': 2,
-    'gpt-4': 3,
-    'claude-2': 4,
-    'mixtral': 5,
-    'llama': 6
+  const handleEvent = async ({ data }) => {
+    let event;
+    try {
+      event = provider.parseStreamData(data);
+    } catch (error) {
+      console.error('Error parsing stream event:', error.message);
+      return false;
+    }
+    if (event.error) {
+      const error = new Error(`${provider.name} API error: ${event.error}`);
+      error.retryable = Boolean(event.retryable);
+      throw error;
+    }
+    if (event.content) {
+      responseText += event.content;
+      await onContent(event.content);
+    }
+    for (const { index, id, name, arguments: args } of event.toolCalls || []) {
+      const call = toolCalls[index] ??= { id: '', name: '', arguments: '' };
+      call.id = id || call.id;
+      call.name = name || call.name;
+      call.arguments += args || '';
+    }
+    // Update token counts if available in the response
+    if (event.usage) {
+      promptTokens = event.usage.promptTokens ?? promptTokens;
+      completionTokens = event.usage.completionTokens ?? completionTokens;
+    }
+    return Boolean(event.done);
   };
 
-  const sortedModels = models.sort((a, b) => {
-    const getPriority = (model) => {
-      if (!model || !model.id) return 999;
-      for (const [key, priority] of Object.entries(modelPriority)) {
-        if (model.id.toLowerCase().includes(key)) return priority;
+  try {
+    resetTimer();
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`${provider.name} API error: ${response.status} ${errorText}`);
+      error.status = response.status;
+      error.retryable = isRetryableStatus(response.status);
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    const parser = createSSEParser();
+    let done = false;
+    for await (const chunk of response.body) {
+      resetTimer();
+      for (const event of parser.push(chunk)) {
+        done = await handleEvent(event);
+        if (done) {
+          break;
+        }
       }
-      return 999;
-    };
-    return getPriority(a) - getPriority(b);
-  });
+      if (done) {
+        break;
+      }
+    }
+    for (const event of done ? [] : parser.end()) {
+      if (await handleEvent(event)) {
+        break;
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      return { responseText, promptTokens, completionTokens, toolCalls: [], interrupted: true };
+    }
+    const failure = timedOut
+      ? Object.assign(new Error(`${provider.name} sent nothing for ${timeoutMs / 1000}s (requestTimeout)`), { retryable: true })
+      : error;
+    // Network failures (connection refused, reset) are worth retrying like 5xx responses
+    if (failure.retryable === undefined) {
+      failure.retryable = failure.name === 'FetchError';
+    }
+    // Once text has been written, retrying or falling back to another model would mix two answers
+    failure.streamed = responseText.length > 0;
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
 
-  console.log('\nAvailable Models (sorted by estimated code capability):');
-  console.log('========================================================================================');
-  console.log('Model ID                                                  Input Price       Output Price          ');
-  console.log('========================================================================================');
+  return { responseText, promptTokens, completionTokens, toolCalls: toolCalls.filter(Boolean), interrupted: false };
+}
 
-  for (const model of sortedModels) {
-    const inputPrice = formatPrice(model.pricing?.prompt);
-    const outputPrice = formatPrice(model.pricing?.completion);
-    console.log(
-      `${model.id.padEnd(50)}        ${inputPrice.padEnd(10)}        ${outputPrice.padEnd(30)}`
-    );
+// Retries rate limits, server errors and timeouts with exponential backoff, as long as nothing
+// has been streamed yet. With a cache (see createResponseCache), a stored response for the same
+// request is streamed back instead of sending it, and complete responses are stored.
+async function streamCompletion({
+  provider, apiKey, model, apiMessages, parameters, tools = null, toolChoice = 'auto', onContent, signal, timeoutMs, maxRetries,
+  cache = null, warn = console.warn,
+}) {
+  // Ctrl-C while the candidate was being prepared has already aborted the signal, and abort
+  // listeners added from here on would never fire
+  if (signal?.aborted) {
+    return { responseText: '', promptTokens: 0, completionTokens: 0, toolCalls: [], interrupted: true };
+  }
+  const request = provider.buildChatRequest({ apiKey, model, messages: apiMessages, parameters, tools, toolChoice });
+  const key = cache ? cache.key(provider.name, request.body) : null;
+  const cached = cache ? await cache.get(key) : null;
+  if (cached) {
+    if (signal?.aborted) {
+      return { responseText: '', promptTokens: 0, completionTokens: 0, toolCalls: [], interrupted: true };
+    }
+    if (cached.responseText) {
+      await onContent(cached.responseText);
+    }
+    return { ...cached, interrupted: false, cached: true };
+  }
+  if (cache?.mode === 'replay') {
+    throw new Error(`No recorded response for this ${model} request in ${cache.dir} (the cache config is replay)`);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let result;
+    try {
+      result = await streamAttempt({ provider, request, onContent, signal, timeoutMs });
+    } catch (error) {
+      if (error.streamed || !error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = error.retryAfter ?? Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      warn(`${error.message}\nRetrying ${model} in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1} of ${maxRetries})`);
+      await sleep(delay, signal);
+      if (signal?.aborted) {
+        return { responseText: '', promptTokens: 0, completionTokens: 0, toolCalls: [], interrupted: true };
+      }
+      continue;
+    }
+    if (cache && !result.interrupted) {
+      await cache.set(key, { providerName: provider.name, body: request.body }, result);
+    }
+    return result;
   }
 }
 
-export async function runPrompt() {
-  const apiKey = await get_api_key();
-  if (!apiKey) {
-    console.error('API key not set. Please run `gb9k set_api_key` first.');
-    process.exit(1);
+function formatToolTranscript(call, output) {
+  const longestFence = Math.max(0, ...(output.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestFence + 1));
+  return `Tool call: ${describeToolCall(call)}\n${fence}\n${output}\n${fence}`;
+}
+
+// Streams answers, running the model's tool calls and sending their results back until it answers
+// without calling tools. Every call and result is written to the transcript. Once maxToolRounds or
+// maxToolTokens is reached the model is told to answer with what it has. cached is set when every
+// round came from the response cache.
+async function completeWithTools({
+  provider, apiKey, model, apiMessages, parameters, tools, config, tokenizer, write, onContent, onToolCall, signal,
+  warn = console.warn,
+}) {
+  let conversation = apiMessages;
+  let responseText = '';
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let toolRounds = 0;
+  let limitReached = false;
+  let written = false;
+  let separator = ''; // Keeps text that follows a tool call out of its result block
+  let cached = true;
+  const cache = createResponseCache(config, { warn });
+
+  while (true) {
+    let result;
+    try {
+      result = await streamCompletion({
+        provider,
+        apiKey,
+        model,
+        apiMessages: conversation,
+        parameters,
+        tools: tools ? tools.definitions : null,
+        toolChoice: limitReached ? 'none' : 'auto',
+        onContent: async (content) => {
+          await write(`${separator}${content}`);
+          separator = '';
+          written = true;
+          if (onContent) {
+            onContent(content);
+          }
+        },
+        signal,
+        timeoutMs: config.requestTimeout * 1000,
+        maxRetries: config.maxRetries,
+        cache,
+      });
+    } catch (error) {
+      // After a tool round the transcript already holds part of this answer
+      error.streamed = error.streamed || toolRounds > 0;
+      throw error;
+    }
+
+    // Rounds without usage data are counted locally
+    promptTokens += result.promptTokens || countMessageTokens(conversation, tokenizer);
+    completionTokens += result.completionTokens ||
+      tokenizer.count(result.responseText + result.toolCalls.map(call => call.arguments).join(''));
+    responseText += result.responseText;
+    cached = cached && Boolean(result.cached);
+
+    if (result.interrupted || result.toolCalls.length === 0) {
+      return { responseText, promptTokens, completionTokens, toolRounds, interrupted: result.interrupted, cached };
+    }
+    if (limitReached) {
+      await write(`${written ? '\n\n' : ''}[tool call limit reached]`);
+      return { responseText, promptTokens, completionTokens, toolRounds, interrupted: false, cached };
+    }
+
+    toolRounds++;
+    const toolCalls = result.toolCalls.map((call, i) => ({ ...call, id: call.id || `call_${toolRounds}_${i}` }));
+    const results = [];
+    for (const call of toolCalls) {
+      onToolCall(call);
+      const output = await tools.execute(call);
+      await write(`${written ? '\n\n' : ''}${formatToolTranscript(call, output)}`);
+      written = true;
+      results.push({ role: 'tool', toolCallId: call.id, content: output });
+    }
+    separator = '\n\n';
+    conversation = [...conversation, { role: 'assistant', content: result.responseText, toolCalls }, ...results];
+
+    if (toolRounds >= config.maxToolRounds || promptTokens + completionTokens >= config.maxToolTokens) {
+      limitReached = true;
+      warn(`Tool call limit reached (${toolRounds} round(s), ${(promptTokens + completionTokens).toLocaleString()} tokens); asking for a final answer`);
+      conversation.push({ role: 'user', content: 'The tool call limit for this run has been reached. Answer with the information you have.' });
+    }
   }
+}
 
-  let promptFile;
+// Sort models by their likely code capability
+const MODEL_PRIORITY = {
+  'claude-3': 1,
+  'gemini-2': 2,
+  'gemini-pro': 2,
+  'gpt-4': 3,
+  'claude-2': 4,
+  'mixtral': 5,
+  'llama': 6
+};
+export const MODEL_SORTS = ['capability', 'price', 'context', 'name'];
+
+function capabilityPriority(model) {
+  for (const [key, priority] of Object.entries(MODEL_PRIORITY)) {
+    if (model.id.toLowerCase().includes(key)) return priority;
+  }
+  return 999;
+}
+
+// Catalog prices are strings per token; OpenRouter uses -1 for prices that vary per request
+function parseModelPrice(price) {
+  if (price === undefined || price === null || price === '') return null;
+  const value = Number(price);
+  return Number.isNaN(value) || value < 0 ? null : value;
+}
+
+// e.g. ['text', 'image'], or null when the catalog entry doesn't say
+function getInputModalities(model) {
+  const architecture = model.architecture || {};
+  if (!architecture.input_modalities && architecture.modality) {
+    return architecture.modality.split('->')[0].split('+');
+  }
+  return architecture.input_modalities || null;
+}
+
+// Normalizes catalog entries from every provider into one shape for filtering and printing
+function describeModel(model, provider) {
+  const inputModalities = getInputModalities(model);
+  return {
+    id: model.id,
+    name: model.name || model.id,
+    vendor: model.id.includes('/') ? model.id.split('/')[0] : provider.name,
+    contextLength: model.context_length || model.top_provider?.context_length || null,
+    pricing: {
+      prompt: parseModelPrice(model.pricing?.prompt),
+      completion: parseModelPrice(model.pricing?.completion),
+    },
+    inputModalities: inputModalities || null,
+    moderated: typeof model.top_provider?.is_moderated === 'boolean' ? model.top_provider.is_moderated : null,
+  };
+}
+
+function compareModels(sort) {
+  // Unknown values always sort last
+  const byNumber = (value, descending) => (a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    return descending ? y - x : x - y;
+  };
+  switch (sort) {
+    case 'price':
+      return (a, b) => byNumber(m => m.pricing.prompt)(a, b) || byNumber(m => m.pricing.completion)(a, b);
+    case 'context':
+      return byNumber(m => m.contextLength, true);
+    case 'name':
+      return (a, b) => a.id.localeCompare(b.id);
+    default:
+      return (a, b) => capabilityPriority(a) - capabilityPriority(b);
+  }
+}
+
+// Filters: search (words matched against id and name), vendor, minContext (tokens), maxPrice
+// (USD per 1K input tokens) and modalities (input modalities the model must all accept)
+export async function listModels({
+  providerName, search = null, vendor = null, minContext = null, maxPrice = null, modalities = [],
+  sort = 'capability', json = false, refresh = false,
+} = {}) {
+  let provider;
   try {
-    promptFile = await findPromptFile();
+    provider = await getProvider(providerName);
   } catch (error) {
     console.error(error.message);
     process.exit(1);
   }
-
-  let model, contextFiles, messages;
-  try {
-    ({ model, contextFiles, messages } = await parsePromptFile(promptFile));
-  } catch (error) {
-    console.error(`Error parsing prompt file: ${error.message}`);
+  if (!MODEL_SORTS.includes(sort)) {
+    console.error(`Invalid --sort value: ${sort}. Use one of: ${MODEL_SORTS.join(', ')}`);
     process.exit(1);
   }
+  const apiKey = await getProviderApiKey(provider);
+  requireApiKey(provider, apiKey);
 
-  if (messages.length === 0) {
-    console.error('No valid conversation messages found in the prompt file.');
+  const models = await getModels(apiKey, provider, { refresh, quiet: json });
+  if (!Array.isArray(models) || models.length === 0) {
+    console.error('No models available or invalid response from API.');
     process.exit(1);
   }
 
-  await initializePromptFile(promptFile);
+  const searchWords = search ? search.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const matches = models
+    .filter(model => model && model.id)
+    .map(model => describeModel(model, provider))
+    .filter(model => {
+      const text = `${model.id} ${model.name}`.toLowerCase();
+      if (!searchWords.every(word => text.includes(word))) return false;
+      if (vendor && model.vendor.toLowerCase() !== vendor.toLowerCase()) return false;
+      if (minContext !== null && !(model.contextLength >= minContext)) return false;
+      if (maxPrice !== null && !(model.pricing.prompt !== null && model.pricing.prompt * 1000 <= maxPrice)) return false;
+      if (modalities.length > 0 && !modalities.every(m => model.inputModalities?.includes(m))) return false;
+      return true;
+    })
+    .sort(compareModels(sort));
 
-  const apiMessages = [
-    { role: 'system', content: SYSTEM_MESSAGE },
-    { role: 'user', content: `Relevant files:\n${contextFiles.length > 0 ? contextFiles.join('\n') : 'None'}` },
-  ];
+  if (json) {
+    console.log(JSON.stringify(matches, null, 2));
+    return;
+  }
 
-  if (contextFiles.length > 0) {
-    const fileContents = await getFileContents(contextFiles);
-    if (fileContents) {
-      apiMessages.push({ role: 'user', content: `File contents:\n${fileContents}` });
-    }
+  if (matches.length === 0) {
+    console.log(`No ${provider.name} models match the given filters (${models.length} models in the catalog).`);
+    return;
   }
 
-  apiMessages.push(...messages);
+  const sortLabel = sort === 'capability' ? 'estimated code capability' : sort;
+  console.log(`\nAvailable ${provider.name} models (${matches.length} of ${models.length}, sorted by ${sortLabel}):`);
+  console.log('='.repeat(126));
+  console.log(`${'Model ID'.padEnd(50)}${'Context'.padEnd(12)}${'Input Price'.padEnd(16)}${'Output Price'.padEnd(16)}${'Input'.padEnd(20)}Moderated`);
+  console.log('='.repeat(126));
 
-  // Fetch models for pricing information
-  const models = await getModels(apiKey);
+  for (const model of matches) {
+    const context = model.contextLength ? model.contextLength.toLocaleString() : '-';
+    const moderated = model.moderated === null ? '-' : model.moderated ? 'yes' : 'no';
+    console.log(
+      `${model.id.padEnd(49)} ${context.padEnd(12)}${formatPrice(model.pricing.prompt).padEnd(16)}` +
+      `${formatPrice(model.pricing.completion).padEnd(16)}${(model.inputModalities || ['-']).join(', ').padEnd(20)}${moderated}`
+    );
+  }
+}
 
-  const headers = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    'HTTP-Referer': 'https://github.com/sosaysthecaptain/gb9k',
-    'X-Title': 'gb9k',
+export function printUsage(pricing) {
+  if (!pricing) {
+    return;
+  }
+  console.log('\nUsage Statistics:');
+  console.log(`Input tokens: ${pricing.promptTokens.toLocaleString()}`);
+  console.log(`Output tokens: ${pricing.completionTokens.toLocaleString()}`);
+  console.log(`\nEstimated Costs:`);
+  console.log(`Input: $${pricing.promptCost.toFixed(4)}`);
+  console.log(`Output: $${pricing.completionCost.toFixed(4)}`);
+  console.log(`Total: $${pricing.totalCost.toFixed(4)}`);
+}
+
+// Parses promptFile and loads its context. modelChain replaces the file's ### Model chain and config
+// the loaded config; warn receives the warnings about the context files and the catalogs.
+export async function prepareTurn(promptFile, {
+  modelChain = null, quiet = false, config: baseConfig = null, warn = console.warn,
+} = {}) {
+  let parsed;
+  try {
+    parsed = await parsePromptFile(promptFile);
+  } catch (error) {
+    throw new PromptFileError(`Error parsing prompt file: ${error.message}`, { cause: error });
+  }
+
+  if (parsed.messages.length === 0) {
+    throw new PromptFileError('No valid conversation messages found in the prompt file.');
+  }
+
+  const loaded = baseConfig ?? await loadConfig();
+  const chain = modelChain || parsed.modelChain;
+  // Replaying recorded responses works offline, so the catalogs aren't fetched
+  const problems = loaded.cache === 'replay' ? [] : await validateModelChain(chain, { quiet, warn });
+  if (problems.length > 0) {
+    throw new ModelError(problems.join('\n'));
+  }
+
+  const config = parsed.system ? { ...loaded, systemPrompt: parsed.system } : loaded;
+  const { files, attachments } = await getFileContents(parsed.contextFiles, config, warn);
+  return {
+    modelChain: chain,
+    contextFiles: parsed.contextFiles,
+    messages: parsed.messages,
+    parameters: parsed.parameters,
+    config,
+    fileContents: redactFiles(files, config, { warn }),
+    attachments,
   };
+}
 
-  const body = JSON.stringify({
-    model,
-    messages: apiMessages,
-    stream: true,
-  });
+// The attachments a model can read. One whose catalog entry doesn't list image input gets a
+// ModelError with error.fallback set, or with attachmentFallback text, the conversation without them.
+// Models whose catalog doesn't list input modalities are sent everything.
+function acceptedAttachments(attachments, candidate, modelInfo, config, warn = console.warn) {
+  const inputModalities = modelInfo ? getInputModalities(modelInfo) : null;
+  const refused = inputModalities ? attachments.filter(({ attachment }) => !acceptsAttachment(inputModalities, attachment)) : [];
+  if (refused.length === 0) {
+    return attachments;
+  }
+  const names = refused.map(file => file.relativePath).join(', ');
+  if (config.attachmentFallback !== 'text') {
+    throw new ModelError(`${describeCandidate(candidate)} doesn't accept image input, so it can't read ${names}. ` +
+      'Use a model that does (see `gb9k models --modality image`), or set attachmentFallback to text to send the text alone.', {
+      fallback: true,
+    });
+  }
+  warn(`Warning: ${describeCandidate(candidate)} doesn't accept image input; sending the conversation without ${names}`);
+  return attachments.filter(file => !refused.includes(file));
+}
+
+// Checks the API key, attachments, context window and budgets for one model. It throws AuthError,
+// ModelError, ContextLengthError or BudgetError with error.fallback set, since nothing has been sent yet.
+// log receives the prompt size report and warn the warnings, also those of sendToCandidate; pendingCost,
+// the worst case of requests about to be sent alongside this one, counts toward the budgets.
+export async function prepareCandidate(candidate, turn, {
+  fit = false, force = false, quiet = false, log = console.log, warn = console.warn, pendingCost = 0,
+} = {}) {
+  const { provider, model } = candidate;
+  const replay = turn.config.cache === 'replay';
+  const apiKey = await getProviderApiKey(provider);
+  if (provider.requiresApiKey && !apiKey && !replay) {
+    throw new AuthError(missingApiKeyMessage(provider), { fallback: true });
+  }
 
+  // Fetch models for pricing and context length information. Replays use the entries recorded with
+  // the responses, so they build the same request body without the network.
+  const cache = createResponseCache(turn.config, { warn });
+  const models = replay ? await cache.recordedModels(provider.name) : await getModels(apiKey, provider, { quiet, warn });
+  const modelInfo = models.find(m => m.id === model);
+  if (cache && modelInfo) {
+    await cache.recordModel(provider.name, modelInfo);
+  }
+  const attachments = acceptedAttachments(turn.attachments || [], candidate, modelInfo, turn.config, warn);
+  const tokenizer = await getTokenizer(model);
+  let apiMessages, estimatedPromptTokens;
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers,
-      body,
-    });
+    ({ apiMessages, promptTokens: estimatedPromptTokens } = fitToContextWindow({
+      config: turn.config,
+      contextFiles: turn.contextFiles,
+      fileContents: turn.fileContents,
+      attachments,
+      messages: turn.messages,
+      tokenizer,
+      contextLength: modelInfo?.context_length,
+      fit,
+      force,
+      log,
+      warn,
+    }));
+  } catch (error) {
+    throw Object.assign(error, { fallback: true });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} ${errorText}`);
+  // Budgets are checked against the worst case: the full prompt plus a maximum-length answer
+  const parameters = { ...getModelParameters(turn.config, model), ...turn.parameters };
+  const estimate = calculatePrice(estimatedPromptTokens, parameters.max_tokens ?? OUTPUT_TOKEN_RESERVE, model, models);
+  if (estimate && !replay) {
+    const budget = await checkBudgets(turn.config, estimate.totalCost, { pendingCost });
+    if (budget.block) {
+      throw new BudgetError(`Refusing to send to ${describeCandidate(candidate)}: it would exceed the ${budget.exceeded.join(' and the ')}.`, {
+        fallback: true,
+      });
     }
+    budget.exceeded.forEach(message => warn(`Warning: this request may exceed the ${message}.`));
+  } else if (!replay && (turn.config.dailyBudget !== null || turn.config.monthlyBudget !== null)) {
+    // Blocking every model without a price would make them unusable, so this only warns
+    warn(`Warning: no pricing is known for ${describeCandidate(candidate)}, so this request can't be checked against the budgets.`);
+  }
 
-    let responseText = '';
-    let promptTokens = 0;
-    let completionTokens = 0;
+  // The catalog lists supported_parameters for some providers; elsewhere the provider decides
+  const supportsTools = modelInfo?.supported_parameters
+    ? modelInfo.supported_parameters.includes('tools')
+    : provider.supportsTools;
+  const tools = turn.config.tools && supportsTools ? createToolSession(process.cwd(), turn.config, { warn }) : null;
 
-    for await (const chunk of response.body) {
-      const lines = chunk.toString('utf8').split('\n').filter(line => line.trim());
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') {
-            await appendToPromptFile(promptFile, '', true);
-            break;
-          }
-          try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices[0]?.delta?.content;
-            if (content) {
-              responseText += content;
-              await appendToPromptFile(promptFile, content);
-            }
-            // Update token counts if available in the response
-            if (parsed.usage) {
-              promptTokens = parsed.usage.prompt_tokens || 0;
-              completionTokens = parsed.usage.completion_tokens || 0;
-            }
-          } catch (error) {
-            console.error('Error parsing stream chunk:', error.message);
+  return {
+    candidate, apiKey, models, tokenizer, apiMessages, estimatedPromptTokens, estimatedCost: estimate?.totalCost ?? null,
+    parameters, tools, config: turn.config, warn,
+  };
+}
+
+// Streams one model's answer into write(). Throws ApiError, or AuthError when the provider rejects
+// the key, with error.fallback set if nothing was written yet. cached is set on answers replayed
+// from the response cache.
+export async function sendToCandidate(prepared, { write, onContent = null, onToolCall, signal }) {
+  const { candidate, apiKey, apiMessages, parameters, tools, config, tokenizer, warn } = prepared;
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await completeWithTools({
+      provider: candidate.provider,
+      apiKey,
+      model: candidate.model,
+      apiMessages,
+      parameters,
+      tools,
+      config,
+      tokenizer,
+      write,
+      onContent,
+      onToolCall,
+      signal,
+      warn,
+    });
+  } catch (error) {
+    const ErrorClass = error.status === 401 || error.status === 403 ? AuthError : ApiError;
+    throw new ErrorClass(`Error during API call to ${describeCandidate(candidate)}: ${error.message}`, {
+      fallback: !error.streamed,
+      status: error.status,
+      cause: error,
+    });
+  }
+  // A replayed answer costs nothing; its token counts are the recorded ones
+  let pricing = calculatePrice(result.promptTokens, result.completionTokens, candidate.model, prepared.models);
+  if (pricing && result.cached) {
+    pricing = { ...pricing, promptCost: 0, completionCost: 0, totalCost: 0 };
+  }
+  return { ...result, pricing, durationMs: Date.now() - startedAt };
+}
+
+// Adds a finished answer to the session's run history and the usage ledger
+export async function recordAnswer(promptFile, prepared, answer) {
+  const { provider } = prepared.candidate;
+  const cost = answer.pricing ? answer.pricing.totalCost : null;
+  await recordSessionRun(promptFile, {
+    model: describeCandidate(prepared.candidate),
+    promptTokens: answer.promptTokens,
+    completionTokens: answer.completionTokens,
+    cost,
+  });
+  await recordUsage({
+    project: process.cwd(),
+    session: sessionNameFromFile(path.basename(promptFile)),
+    provider: provider.name,
+    model: describeCandidate(prepared.candidate),
+    promptTokens: answer.promptTokens,
+    completionTokens: answer.completionTokens,
+    cost,
+    durationMs: answer.durationMs,
+    ...(answer.cached ? { cached: true } : {}),
+  });
+}
+
+// Without an outside signal, the first Ctrl-C stops the stream but keeps what arrived; a second
+// one quits immediately. Call dispose() once streaming is over.
+export function createInterruption(signal = null) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.error('\nInterrupted, saving the partial response (press Ctrl-C again to quit)');
+    controller.abort();
+    process.removeListener('SIGINT', onInterrupt);
+  };
+  if (signal?.aborted) {
+    controller.abort();
+  } else if (signal) {
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  } else {
+    process.on('SIGINT', onInterrupt);
+  }
+  return { signal: controller.signal, dispose: () => process.removeListener('SIGINT', onInterrupt) };
+}
+
+export function printToolCall(call) {
+  console.log(`Tool call: ${describeToolCall(call)}`);
+}
+
+// Sends the conversation in promptFile through its model chain and appends the answer to the file.
+// Throws when no model could answer (InterruptedError, with exitCode 130, if interrupted before any text).
+// onContent also receives the answer as it streams, onToolCall each tool call the model makes and
+// onWrite every piece of text appended to the file. Without a signal, Ctrl-C interrupts the answer;
+// quiet hides the model cache messages, log receives the progress messages and warn the warnings.
+// config replaces the loaded config.
+export async function completePromptFile(promptFile, {
+  fit = false, force = false, onContent = null, onToolCall = printToolCall, onWrite = null, signal = null, quiet = false,
+  log = console.log, warn = console.warn, config = null,
+} = {}) {
+  const turn = await prepareTurn(promptFile, { quiet, config, warn });
+  const { modelChain } = turn;
+  let initialized = false;
+
+  for (const [index, candidate] of modelChain.entries()) {
+    if (modelChain.length > 1) {
+      log(`\nModel: ${describeCandidate(candidate)}`);
+    }
+
+    let prepared, answer;
+    const interruption = createInterruption(signal);
+    try {
+      prepared = await prepareCandidate(candidate, turn, { fit, force, quiet, log, warn });
+      answer = await sendToCandidate(prepared, {
+        write: async (content) => {
+          if (!initialized) {
+            await initializePromptFile(promptFile, onWrite);
+            initialized = true;
           }
-        }
+          await appendToPromptFile(promptFile, content, false, onWrite);
+        },
+        onContent,
+        onToolCall,
+        signal: interruption.signal,
+      });
+    } catch (error) {
+      if (!error.fallback || index === modelChain.length - 1) {
+        throw error;
       }
+      warn(`${error.message}\nFalling back to ${describeCandidate(modelChain[index + 1])}`);
+      continue;
+    } finally {
+      interruption.dispose();
+    }
+
+    if (answer.interrupted && !initialized) {
+      throw new InterruptedError('Interrupted before the response started; the prompt file was not changed.');
     }
 
-    // If token counts weren't provided, estimate them
-    if (!promptTokens) {
-      promptTokens = Math.ceil(apiMessages.reduce((acc, msg) => acc + msg.content.length / 4, 0));
+    if (!initialized) {
+      await initializePromptFile(promptFile, onWrite);
+    }
+    if (answer.interrupted) {
+      await appendToPromptFile(promptFile, '\n\n[interrupted]', false, onWrite);
     }
-    if (!completionTokens) {
-      completionTokens = Math.ceil(responseText.length / 4);
+    await appendToPromptFile(promptFile, '', true, onWrite);
+
+    if (modelChain.length > 1) {
+      log(`\nAnswered by ${describeCandidate(candidate)}`);
     }
+    await recordAnswer(promptFile, prepared, answer);
+    return {
+      candidate,
+      model: describeCandidate(candidate),
+      responseText: answer.responseText,
+      promptTokens: answer.promptTokens,
+      completionTokens: answer.completionTokens,
+      pricing: answer.pricing,
+      durationMs: answer.durationMs,
+      interrupted: answer.interrupted,
+      cached: answer.cached,
+    };
+  }
+}
+
+// Sends messages, with files and attachments (e.g. from collectFiles) as context, to one model
+// without a prompt file; model defaults to config.defaultModel. Records the usage like a run. Throws
+// InterruptedError if interrupted before any text. warn receives the warnings.
+export async function completeMessages({
+  messages, files = [], attachments = [], model = null, config, parameters = {}, fit = false, force = false,
+  onContent = null, onToolCall = () => {}, signal = null, warn = console.warn,
+}) {
+  const candidate = await resolveModelSpec(model || config.defaultModel);
+  const problems = config.cache === 'replay' ? [] : await validateModelChain([candidate], { quiet: true, warn });
+  if (problems.length > 0) {
+    throw new ModelError(problems.join('\n'));
+  }
+  const turn = {
+    modelChain: [candidate],
+    contextFiles: [...files.map(contextLabel), ...attachments.map(file => file.relativePath)],
+    messages,
+    parameters,
+    config,
+    fileContents: files,
+    attachments,
+  };
+  const prepared = await prepareCandidate(candidate, turn, { fit, force, quiet: true, log: () => {}, warn });
+
+  // The answer is the model's text; rounds separated by tool calls get a blank line between them
+  let text = '';
+  let separate = false;
+  const interruption = createInterruption(signal);
+  let answer;
+  try {
+    answer = await sendToCandidate(prepared, {
+      write: async () => {},
+      onContent: (content) => {
+        text += `${separate && text ? '\n\n' : ''}${content}`;
+        separate = false;
+        if (onContent) {
+          onContent(content);
+        }
+      },
+      onToolCall: (call) => {
+        separate = true;
+        onToolCall(call);
+      },
+      signal: interruption.signal,
+    });
+  } finally {
+    interruption.dispose();
+  }
+  if (answer.interrupted && !text) {
+    throw new InterruptedError('Interrupted before the response started.');
+  }
+
+  const cost = answer.pricing ? answer.pricing.totalCost : null;
+  await recordUsage({
+    project: process.cwd(),
+    session: null,
+    provider: candidate.provider.name,
+    model: describeCandidate(candidate),
+    promptTokens: answer.promptTokens,
+    completionTokens: answer.completionTokens,
+    cost,
+    durationMs: answer.durationMs,
+    ...(answer.cached ? { cached: true } : {}),
+  });
+  return {
+    candidate,
+    model: describeCandidate(candidate),
+    responseText: text,
+    promptTokens: answer.promptTokens,
+    completionTokens: answer.completionTokens,
+    pricing: answer.pricing,
+    durationMs: answer.durationMs,
+    interrupted: answer.interrupted,
+    cached: answer.cached,
+  };
+}
+
+// A run as an EventEmitter: 'token' with each piece of answer text, 'toolCall' with each tool call,
+// 'warning' with each warning the CLI would print (dropped, skipped or redacted files, budgets, ...),
+// 'usage' with { model, promptTokens, completionTokens, cost, durationMs, cached } once answered, and
+// 'error' with the error that ended it. run.result resolves with the answer; run.abort() stops the
+// run, keeping what arrived. With promptFile the answer is appended to the file as by `gb9k run`;
+// otherwise messages go to model as by completeMessages. It starts once listeners can be attached.
+// config, the loaded config by default, may also be a promise of one.
+export function createRun({ promptFile = null, config = null, signal = null, ...options } = {}) {
+  const run = new EventEmitter();
+  const controller = new AbortController();
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  run.abort = () => controller.abort();
 
-    const pricing = calculatePrice(promptTokens, completionTokens, model, models);
-    if (pricing) {
-      console.log('\nUsage Statistics:');
-      console.log(`Input tokens: ${pricing.promptTokens.toLocaleString()}`);
-      console.log(`Output tokens: ${pricing.completionTokens.toLocaleString()}`);
-      console.log(`\nEstimated Costs:`);
-      console.log(`Input: $${pricing.promptCost.toFixed(4)}`);
-      console.log(`Output: $${pricing.completionCost.toFixed(4)}`);
-      console.log(`Total: $${pricing.totalCost.toFixed(4)}`);
+  const handlers = {
+    onContent: (content) => run.emit('token', content),
+    onToolCall: (call) => run.emit('toolCall', call),
+    warn: (message) => run.emit('warning', message),
+    signal: controller.signal,
+  };
+  // A config that fails to load rejects run.result instead
+  const configReady = Promise.resolve(config);
+  configReady.catch(() => {});
+  run.result = new Promise(resolve => setImmediate(resolve)).then(async () => {
+    const loaded = (await configReady) ?? await loadConfig();
+    const answer = promptFile
+      ? await completePromptFile(promptFile, { ...options, ...handlers, config: loaded, quiet: true, log: () => {} })
+      : await completeMessages({ ...options, ...handlers, config: loaded });
+    run.emit('usage', {
+      model: answer.model,
+      promptTokens: answer.promptTokens,
+      completionTokens: answer.completionTokens,
+      cost: answer.pricing ? answer.pricing.totalCost : null,
+      durationMs: answer.durationMs,
+      cached: answer.cached,
+    });
+    return answer;
+  }).catch((error) => {
+    // Without an 'error' listener, emitting would throw the error again
+    if (run.listenerCount('error') > 0) {
+      run.emit('error', error);
     }
+    throw error;
+  });
+  // Callers that only listen for events shouldn't get unhandled rejections
+  run.result.catch(() => {});
+  return run;
+}
 
+export async function runPrompt({ sessionName = null, fit = false, force = false } = {}) {
+  let promptFile;
+  try {
+    promptFile = await findSessionFile(sessionName);
   } catch (error) {
-    console.error('Error during API call:', error.message);
+    console.error(error.message);
     process.exit(1);
   }
-}
\ No newline at end of file
+
+  let turn;
+  try {
+    turn = await completePromptFile(promptFile, { fit, force });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(error.exitCode ?? 1);
+  }
+
+  if (turn.cached) {
+    console.log('\nReplayed from the response cache; nothing was sent (use --no-cache to send it again)');
+  } else {
+    printUsage(turn.pricing);
+  }
+  if (turn.interrupted) {
+    process.exitCode = 130;
+  }
+}
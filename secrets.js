@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR } from './config.js';
+
+// Random per install, so a provider can't confirm a guess at a redacted value from its placeholder
+const REDACTION_KEY_FILE = path.join(CONFIG_DIR, 'redaction.key');
+// A line containing this comment is never redacted, e.g. for test fixtures
+const ALLOW_MARKER = 'gb9k:allow-secret';
+const ENTROPY_THRESHOLD = 4.5; // Bits per character for unlabelled high-entropy strings
+const ASSIGNED_ENTROPY_THRESHOLD = 3.5; // Lower bar for values assigned to secret-looking names
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|credential|auth[_-]?key|access[_-]?key)[A-Za-z0-9_.-]*';
+const ENV_SECRET_NAME = '[A-Z0-9_]*(?:API_?KEY|SECRET|TOKEN|PASSW(?:OR)?D|PWD|CREDENTIAL|AUTH_?KEY|ACCESS_?KEY)[A-Z0-9_]*';
+// Brackets, parentheses and the like mean code rather than a secret value
+const ASSIGNED_VALUE_REGEX = /^[A-Za-z0-9+/=_.~!@#$%^&:-]+$/;
+
+// Patterns whose `secret` group, or whole match without one, is replaced. Order matters: when two
+// findings overlap, the one from the earlier pattern wins.
+const SECRET_PATTERNS = [
+  { type: 'private-key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'aws-access-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})\b/g },
+  { type: 'api-key', regex: /\bsk-(?:ant-|or-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'stripe-key', regex: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { type: 'google-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'slack-token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { type: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  // Only the password of user:password@host URLs
+  { type: 'connection-string', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:(?<secret>[^\s@/'"]+)@/gi },
+  // KEY=value lines in .env files and shell scripts
+  {
+    type: 'assigned-secret',
+    regex: new RegExp(`^\\s*(?:export\\s+)?${ENV_SECRET_NAME}\\s*=\\s*['"]?(?<secret>[^\\s'"]{8,})`, 'gm'),
+    assigned: true,
+  },
+  // "apiKey": "...", api_key = '...' and the like in code and config files
+  {
+    type: 'assigned-secret',
+    regex: new RegExp(`["']?${SECRET_NAME}["']?\\s*[:=]\\s*["'\`](?<secret>[^"'\`\\s]{8,})["'\`]`, 'gi'),
+    assigned: true,
+  },
+  { type: 'high-entropy-string', regex: /["'`](?<secret>[A-Za-z0-9+/=_-]{32,})["'`]/g, highEntropy: true },
+];
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function hasMixedCharacters(text) {
+  return [/[a-z]/, /[A-Z]/, /[0-9]/].filter(regex => regex.test(text)).length >= 2;
+}
+
+// Assigned values such as process.env.KEY, ${KEY} or "changeme" are references or placeholders
+function looksLikeSecret(value, pattern) {
+  if (pattern.highEntropy) {
+    return [/[a-z]/, /[A-Z]/, /[0-9]/].every(regex => regex.test(value)) && entropy(value) >= ENTROPY_THRESHOLD;
+  }
+  if (pattern.assigned) {
+    if (!ASSIGNED_VALUE_REGEX.test(value) || /^(\$|process\.env|os\.environ|env\.)/.test(value) || /^[a-z]+([._-][a-z]+)*$/i.test(value)) {
+      return false;
+    }
+    return hasMixedCharacters(value) && entropy(value) >= ASSIGNED_ENTROPY_THRESHOLD;
+  }
+  return true;
+}
+
+// Config allowlist entries are literal values, or regular expressions written as /source/flags
+function compileAllowlist(entries) {
+  return entries.map(entry => {
+    const match = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (match) {
+      const regex = new RegExp(match[1], match[2]);
+      return (value) => regex.test(value);
+    }
+    return (value) => value === entry;
+  });
+}
+
+export const PLACEHOLDER_REGEX = /\[REDACTED:[a-z-]+:[0-9a-f]{8}\]/g;
+
+let redactionKey = null;
+
+// Created on first use; when it can't be stored, placeholders only stay stable for this process
+function getRedactionKey() {
+  if (redactionKey) {
+    return redactionKey;
+  }
+  try {
+    redactionKey = Buffer.from(fs.readFileSync(REDACTION_KEY_FILE, 'utf8').trim(), 'hex');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  if (!redactionKey || redactionKey.length < 32) {
+    redactionKey = crypto.randomBytes(32);
+    try {
+      fs.mkdirSync(CONFIG_DIR, { recursive: true });
+      fs.writeFileSync(REDACTION_KEY_FILE, redactionKey.toString('hex') + '\n', { mode: 0o600 });
+    } catch (error) {
+      console.warn(`Could not save the redaction key to ${REDACTION_KEY_FILE}: ${error.message}`);
+    }
+  }
+  return redactionKey;
+}
+
+// The same secret always gets the same placeholder, so answers and later turns stay consistent
+function placeholderFor(type, value) {
+  const hash = crypto.createHmac('sha256', getRedactionKey()).update(value).digest('hex').slice(0, 8);
+  return `[REDACTED:${type}:${hash}]`;
+}
+
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+// Returns the content with secrets replaced, and a { type, line } entry for each one
+export function redactSecrets(content, { allowlist = [] } = {}) {
+  const allowed = compileAllowlist(allowlist);
+  const lines = content.split('\n');
+  const findings = [];
+
+  for (const pattern of SECRET_PATTERNS) {
+    const regex = new RegExp(pattern.regex.source, `${pattern.regex.flags}d`);
+    for (const match of content.matchAll(regex)) {
+      const [start, end] = match.indices.groups?.secret || match.indices[0];
+      const value = content.slice(start, end);
+      const line = lineAt(content, start);
+      if (!looksLikeSecret(value, pattern) ||
+        allowed.some(isAllowed => isAllowed(value)) ||
+        lines[line - 1].includes(ALLOW_MARKER) ||
+        findings.some(finding => start < finding.end && end > finding.start)) {
+        continue;
+      }
+      findings.push({ type: pattern.type, line, start, end, value });
+    }
+  }
+
+  findings.sort((a, b) => a.start - b.start);
+  let redacted = '';
+  let position = 0;
+  for (const finding of findings) {
+    redacted += content.slice(position, finding.start) + placeholderFor(finding.type, finding.value);
+    position = finding.end;
+  }
+  redacted += content.slice(position);
+  return { content: redacted, findings: findings.map(({ type, line }) => ({ type, line })) };
+}
+
+// Redacts { relativePath, content } entries as configured by redactSecrets and secretAllowlist.
+// Redacted entries get the findings as redactions, which also go to warn unless quiet is set.
+export function redactFiles(files, config, { quiet = false, warn = console.warn } = {}) {
+  if (!config.redactSecrets) {
+    return files;
+  }
+  let total = 0;
+  const result = files.map(file => {
+    const { content, findings } = redactSecrets(file.content, { allowlist: config.secretAllowlist });
+    if (findings.length === 0) {
+      return file;
+    }
+    total += findings.length;
+    if (!quiet) {
+      warn(`Redacted ${findings.length} secret(s) in ${file.relativePath}: ${describeFindings(findings)}`);
+    }
+    return { ...file, content, redactions: findings };
+  });
+  if (total > 0 && !quiet) {
+    warn('Secrets are replaced with [REDACTED:...] placeholders; allow values with the secretAllowlist config or use --no-redact.');
+  }
+  return result;
+}
+
+export function describeFindings(findings) {
+  return findings.map(({ type, line }) => `${type} (line ${line})`).join(', ');
+}
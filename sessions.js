@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_SESSION = 'default';
+const SESSIONS_META_FILE = path.join('.gb9k', 'sessions.json');
+const SESSION_NAME_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Splits a prompt file at the line of dashes: the header holds ### Model, ### System, ### Parameters
+// and ### Context, and the rest (starting with the dashes) the conversation, whose answers can hold
+// headings of their own
+export function splitPromptHeader(content) {
+  const separator = content.search(/^-{3,}[ \t]*$/m);
+  return separator === -1 ? [content, ''] : [content.slice(0, separator), content.slice(separator)];
+}
+
+export function validateSessionName(name) {
+  if (!SESSION_NAME_REGEX.test(name)) {
+    throw new Error(`Invalid session name: ${name}. Use letters, digits, dots, dashes and underscores.`);
+  }
+}
+
+export function sessionFileName(name = DEFAULT_SESSION) {
+  return name === DEFAULT_SESSION ? '_PROMPT.md' : `_PROMPT_${name}.md`;
+}
+
+export function sessionNameFromFile(fileName) {
+  return fileName.slice('_PROMPT'.length, -'.md'.length).replace(/^[_-]/, '') || DEFAULT_SESSION;
+}
+
+// The command that continues the session in promptFile, for hints written into the file
+export function sessionCommand(command, promptFile) {
+  const name = sessionNameFromFile(path.basename(promptFile));
+  return name === DEFAULT_SESSION ? `gb9k ${command}` : `gb9k ${command} ${name}`;
+}
+
+export async function listSessionFiles(dir = process.cwd()) {
+  const items = await fs.readdir(dir, { withFileTypes: true });
+  return items
+    .filter(item => item.isFile() && item.name.startsWith('_PROMPT') && item.name.endsWith('.md'))
+    .map(item => ({ name: sessionNameFromFile(item.name), fileName: item.name, fullPath: path.join(dir, item.name) }))
+    .sort((a, b) => a.fileName.localeCompare(b.fileName));
+}
+
+// Without a name: _PROMPT.md if present, else the only session, else an error listing candidates
+export async function findSessionFile(name = null) {
+  const sessions = await listSessionFiles();
+
+  if (name) {
+    const session = sessions.find(s => s.name === name);
+    if (!session) {
+      const known = sessions.length > 0 ? ` Existing sessions: ${sessions.map(s => s.name).join(', ')}` : '';
+      throw new Error(`No session named ${name} (expected ${sessionFileName(name)}).${known}`);
+    }
+    return session.fullPath;
+  }
+
+  if (sessions.length === 0) {
+    throw new Error('No markdown file starting with _PROMPT found in the current directory.');
+  }
+  const defaultSession = sessions.find(s => s.name === DEFAULT_SESSION);
+  if (defaultSession) {
+    return defaultSession.fullPath;
+  }
+  if (sessions.length === 1) {
+    return sessions[0].fullPath;
+  }
+  throw new Error(`Several sessions exist; name one of: ${sessions.map(s => s.name).join(', ')}`);
+}
+
+async function readSessionsMeta() {
+  try {
+    return JSON.parse(await fs.readFile(path.join(process.cwd(), SESSIONS_META_FILE), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+async function writeSessionsMeta(meta) {
+  const metaPath = path.join(process.cwd(), SESSIONS_META_FILE);
+  await fs.mkdir(path.dirname(metaPath), { recursive: true });
+  await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
+}
+
+export async function recordSessionRun(promptFile, run) {
+  const meta = await readSessionsMeta();
+  meta[path.basename(promptFile)] = { ...run, at: new Date().toISOString() };
+  await writeSessionsMeta(meta);
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export async function listSessions() {
+  const sessions = await listSessionFiles();
+  if (sessions.length === 0) {
+    console.log('No sessions found. Start one with `gb9k` or `gb9k new <name>`.');
+    return;
+  }
+
+  const meta = await readSessionsMeta();
+  console.log('\nSessions:');
+  console.log(`${'Name'.padEnd(20)}${'Model'.padEnd(40)}${'Turns'.padEnd(8)}${'Last cost'.padEnd(12)}Last modified`);
+  for (const session of sessions) {
+    const content = await fs.readFile(session.fullPath, 'utf8');
+    const stat = await fs.stat(session.fullPath);
+    const modelMatch = splitPromptHeader(content)[0].match(/### Model\n([\s\S]*?)(?=\n###|\n---|$)/);
+    const model = modelMatch ? modelMatch[1].trim().split('\n')[0] : '-';
+    const turns = (content.match(/^### LLM$/gm) || []).length;
+    const lastCost = meta[session.fileName]?.cost;
+    console.log(
+      `${session.name.padEnd(20)}${model.padEnd(40)}${String(turns).padEnd(8)}${(typeof lastCost === 'number' ? `$${lastCost.toFixed(4)}` : '-').padEnd(12)}${formatDate(stat.mtime)}`
+    );
+  }
+}
+
+// Deletes one named session, or every _PROMPT*.md file when no name is given
+export async function cleanupSessions(name = null) {
+  const sessions = await listSessionFiles();
+  const targets = name ? sessions.filter(s => s.name === name) : sessions;
+  if (name && targets.length === 0) {
+    throw new Error(`No session named ${name}`);
+  }
+
+  const meta = await readSessionsMeta();
+  for (const session of targets) {
+    await fs.unlink(session.fullPath);
+    delete meta[session.fileName];
+    console.log(`Deleted ${session.fileName}`);
+  }
+  if (Object.keys(meta).length > 0) {
+    await writeSessionsMeta(meta);
+  } else {
+    await fs.unlink(path.join(process.cwd(), SESSIONS_META_FILE)).catch(() => {});
+  }
+  console.log('Cleanup complete');
+}
@@ -0,0 +1,59 @@
+// Incremental text/event-stream parser. Network chunks can split lines, events and multi-byte
+// characters anywhere, so input is buffered and only complete events are returned.
+export function createSSEParser() {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventType = '';
+  let dataLines = [];
+
+  function processLine(line, events) {
+    if (line === '') {
+      // A blank line dispatches the event collected so far
+      if (dataLines.length > 0) {
+        events.push({ event: eventType || 'message', data: dataLines.join('\n') });
+      }
+      eventType = '';
+      dataLines = [];
+      return;
+    }
+    if (line.startsWith(':')) {
+      return; // Comment, sent by some servers as a keep-alive
+    }
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    }
+  }
+
+  function processBuffer(final) {
+    const events = [];
+    // A trailing CR may be the first half of a CRLF, so it waits for the next chunk
+    const end = !final && buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+    const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+    buffer = final ? '' : lines.pop() + buffer.slice(end);
+    lines.forEach(line => processLine(line, events));
+    if (final) {
+      processLine('', events); // Servers don't always end the last event with a blank line
+    }
+    return events;
+  }
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      return processBuffer(false);
+    },
+
+    end() {
+      buffer += decoder.decode();
+      return processBuffer(true);
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR } from './config.js';
+import { ask_question } from './utils.js';
+import { parseParametersSection } from './run.js';
+
+export const USER_TEMPLATES_DIR = path.join(CONFIG_DIR, 'templates');
+const PROJECT_TEMPLATES_DIR = path.join('.gb9k', 'templates');
+const TEMPLATE_SECTIONS = ['Model', 'System', 'Parameters', 'Context', 'User'];
+// {{name}} or {{name|default}}
+const VARIABLE_REGEX = /\{\{\s*([A-Za-z_][A-Za-z0-9_-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+// Templates are written like prompt files: an optional <!-- description --> first, then any of the
+// sections below. ### Context lines are command-line paths and selectors such as --changed or --diff,
+// used when the command names none.
+const BUILT_IN_TEMPLATES = {
+  review: `<!-- Review changes for bugs, risks and unclear code -->
+
+### System
+You are a careful senior reviewer. Point out bugs, edge cases, security problems and unclear code in the files you receive, most important first, each with the file and a concrete fix. Say so when something looks fine; don't rewrite code that needs no change.
+
+### Context
+--changed
+--diff
+
+### User
+Review these changes, focusing on {{focus|correctness and edge cases}}.
+`,
+
+  tests: `<!-- Write tests for the given files -->
+
+### Parameters
+{ "temperature": 0.2 }
+
+### User
+Write tests for {{target|the code in these files}} using {{framework|the test framework this project already uses}}. Cover the main behavior, edge cases and error handling, and put each test file in its own code block.
+`,
+
+  explain: `<!-- Explain how the given code works -->
+
+### System
+You explain code to a developer who is new to this project. Start with the big picture, then walk through the important parts, naming the files and functions involved. Don't suggest changes unless asked.
+
+### User
+Explain {{topic|how this code works}}.
+`,
+
+  refactor: `<!-- Refactor without changing behavior -->
+
+### User
+Refactor {{target|this code}} to {{goal|make it easier to read and change}} without changing its behavior. Keep public interfaces as they are unless I say otherwise, and explain each change briefly.
+`,
+};
+
+function parseTemplate(name, source, text, filePath = null) {
+  const description = text.match(/^\s*<!--\s*([\s\S]*?)\s*-->/)?.[1] ?? '';
+  const sections = {};
+  // split() with a capture group alternates headings and section bodies
+  const parts = text.split(/^### (\w+)[ \t]*\n/m);
+  for (let i = 1; i < parts.length; i += 2) {
+    if (!TEMPLATE_SECTIONS.includes(parts[i])) {
+      throw new Error(`Unknown section ### ${parts[i]} in template ${filePath || name}. Use: ${TEMPLATE_SECTIONS.join(', ')}`);
+    }
+    sections[parts[i].toLowerCase()] = parts[i + 1].trim();
+  }
+  return { name, source, filePath, description, sections };
+}
+
+async function readTemplateDir(dir, source) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const templates = [];
+  for (const fileName of names.filter(name => name.endsWith('.md')).sort()) {
+    const fullPath = path.join(dir, fileName);
+    templates.push(parseTemplate(path.basename(fileName, '.md'), source, await fs.readFile(fullPath, 'utf8'), fullPath));
+  }
+  return templates;
+}
+
+// Project templates override user templates, which override built-in ones of the same name
+export async function listTemplates() {
+  const byName = new Map();
+  const layers = [
+    Object.entries(BUILT_IN_TEMPLATES).map(([name, text]) => parseTemplate(name, 'built-in', text)),
+    await readTemplateDir(USER_TEMPLATES_DIR, 'user'),
+    await readTemplateDir(path.join(process.cwd(), PROJECT_TEMPLATES_DIR), 'project'),
+  ];
+  for (const template of layers.flat()) {
+    byName.set(template.name, template);
+  }
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function findTemplate(name) {
+  const templates = await listTemplates();
+  const template = templates.find(t => t.name === name);
+  if (!template) {
+    throw new Error(`No template named ${name}. Available templates: ${templates.map(t => t.name).join(', ')}`);
+  }
+  return template;
+}
+
+export function templateVariables(template) {
+  const variables = new Map();
+  for (const text of Object.values(template.sections)) {
+    for (const [, name, fallback] of text.matchAll(VARIABLE_REGEX)) {
+      if (!variables.has(name) || variables.get(name) === undefined) {
+        variables.set(name, fallback);
+      }
+    }
+  }
+  return variables;
+}
+
+// Fills {{variables}} from values (--var name=value), asking for the rest on a terminal; elsewhere
+// their defaults are used, and variables without one are an error
+export async function fillTemplate(template, values = {}) {
+  const filled = { ...values };
+  const missing = [];
+  for (const [name, fallback] of templateVariables(template)) {
+    if (name in filled) {
+      continue;
+    }
+    if (process.stdin.isTTY) {
+      const answer = await ask_question(fallback !== undefined ? `${name} (Enter for "${fallback.trim()}"):` : `${name}:`);
+      filled[name] = answer || fallback || '';
+    } else if (fallback !== undefined) {
+      filled[name] = fallback;
+    } else {
+      missing.push(name);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Template ${template.name} needs ${missing.map(name => `--var ${name}=...`).join(' ')}`);
+  }
+
+  const substitute = (text) => text.replace(VARIABLE_REGEX, (_, name) => filled[name]);
+  const sections = Object.fromEntries(Object.entries(template.sections).map(([key, text]) => [key, substitute(text)]));
+
+  let parameters = null;
+  if (sections.parameters) {
+    try {
+      parameters = parseParametersSection(sections.parameters);
+    } catch (error) {
+      throw new Error(`In template ${template.name}: ${error.message}`);
+    }
+  }
+  return {
+    models: sections.model ? sections.model.split('\n').map(line => line.trim().replace(/^- /, '')).filter(Boolean) : [],
+    system: sections.system || null,
+    parameters,
+    contextArgs: sections.context ? sections.context.split(/\s+/).filter(Boolean) : [],
+    prompt: sections.user || '',
+  };
+}
+
+// `--var name=value` entries as an object
+export function parseTemplateValues(entries) {
+  const values = {};
+  for (const entry of entries) {
+    const separator = entry.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Expected --var name=value, got ${entry}`);
+    }
+    values[entry.slice(0, separator)] = entry.slice(separator + 1);
+  }
+  return values;
+}
+
+export async function listTemplatesCommand() {
+  const templates = await listTemplates();
+  console.log('\nTemplates:');
+  console.log(`${'Name'.padEnd(16)}${'Source'.padEnd(12)}${'Variables'.padEnd(28)}Description`);
+  for (const template of templates) {
+    const variables = Array.from(templateVariables(template).keys()).join(', ') || '-';
+    console.log(`${template.name.padEnd(16)}${template.source.padEnd(12)}${variables.padEnd(28)}${template.description}`);
+  }
+  console.log(`\nAdd your own as <name>.md in ${USER_TEMPLATES_DIR} or ${PROJECT_TEMPLATES_DIR} in a project.`);
+}
@@ -0,0 +1,59 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+
+// OpenAI models are counted exactly. Other families use the closest bundled table, scaled by
+// how their vocabularies compare on source code, so their counts are close estimates.
+const TOKENIZER_FAMILIES = [
+  { pattern: /gpt-4o|gpt-4\.1|gpt-5|chatgpt|(^|[/:])o[134]\b/, encoding: 'o200k_base', scale: 1, exact: true },
+  { pattern: /gpt-4|gpt-3\.5/, encoding: 'cl100k_base', scale: 1, exact: true },
+  { pattern: /claude/, encoding: 'cl100k_base', scale: 1.1 },
+  { pattern: /llama-?2|mistral|mixtral|codestral/, encoding: 'cl100k_base', scale: 1.3 },
+  { pattern: /llama-?3|llama-?4|gemini|gemma|qwen|deepseek/, encoding: 'o200k_base', scale: 1 },
+];
+const DEFAULT_FAMILY = { encoding: 'cl100k_base', scale: 1.1 };
+const TOKENS_PER_MESSAGE = 4; // Role and separator overhead added by chat formats
+const TOKENS_PER_REQUEST = 3;
+
+const RANK_LOADERS = {
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+};
+
+const encoders = new Map();
+
+async function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, RANK_LOADERS[encoding]().then(({ default: ranks }) => new Tiktoken(ranks)));
+  }
+  return encoders.get(encoding);
+}
+
+export async function getTokenizer(model = '') {
+  const family = TOKENIZER_FAMILIES.find(f => f.pattern.test(model.toLowerCase())) || DEFAULT_FAMILY;
+  const encoder = await getEncoder(family.encoding);
+  return {
+    encoding: family.encoding,
+    exact: Boolean(family.exact),
+    // Special-token text such as <|endoftext|> in source files is counted as plain text
+    count: (text) => Math.ceil(encoder.encode(text, [], []).length * family.scale),
+  };
+}
+
+// Content is text, or parts where attachments carry their own token estimate
+function countContentTokens(content, tokenizer) {
+  if (Array.isArray(content)) {
+    return content.reduce((total, part) => total + (part.type === 'text' ? tokenizer.count(part.text) : part.tokens || 0), 0);
+  }
+  return tokenizer.count(content || '');
+}
+
+export function countMessageTokens(messages, tokenizer) {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countContentTokens(message.content, tokenizer) +
+      (message.toolCalls || []).reduce((sum, call) => sum + tokenizer.count(`${call.name}${call.arguments || ''}`), 0),
+    TOKENS_PER_REQUEST
+  );
+}
+
+export function describeTokenizer(tokenizer) {
+  return tokenizer.exact ? tokenizer.encoding : `approximated with ${tokenizer.encoding}`;
+}
@@ -0,0 +1,169 @@
+import path from 'path';
+import { getAllCodeFiles } from './utils.js';
+import { toPosixPath } from './ignore.js';
+import { redactSecrets, describeFindings } from './secrets.js';
+import { readTextFile } from './read.js';
+
+const MAX_READ_LINES = 2000;
+const MAX_RESULT_CHARS = 100000;
+const MAX_SEARCH_MATCHES = 100;
+const MAX_LINE_LENGTH = 300;
+
+// Read-only tools the model can call during a run, in the provider-neutral shape providers.js converts
+export const TOOL_DEFINITIONS = [
+  {
+    name: 'read_file',
+    description: `Read a file in the project. Returns at most ${MAX_READ_LINES} numbered lines; use start_line and end_line for the rest of longer files.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to the project root' },
+        start_line: { type: 'integer', description: 'First line to return (1-based)' },
+        end_line: { type: 'integer', description: 'Last line to return (inclusive)' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'list_directory',
+    description: 'List the files and subdirectories of a project directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to the project root; "." for the root' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'search_code',
+    description: `Search project files for a text, returning up to ${MAX_SEARCH_MATCHES} matching lines as path:line: text.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to look for (case-insensitive, matched literally)' },
+        path: { type: 'string', description: 'Only search inside this file or directory' },
+      },
+      required: ['query'],
+    },
+  },
+];
+
+function truncate(text) {
+  return text.length > MAX_RESULT_CHARS
+    ? `${text.slice(0, MAX_RESULT_CHARS)}\n[truncated at ${MAX_RESULT_CHARS.toLocaleString()} characters]`
+    : text;
+}
+
+// Tools see exactly the files getAllCodeFiles would pick for the project root, so ignored files,
+// skipped directories and prompt files stay out of reach. The file list is read once per run.
+// Results are redacted like context files when config.redactSecrets is set, reporting to warn.
+export function createToolSession(projectRoot, config, { warn = console.warn } = {}) {
+  const root = path.resolve(projectRoot);
+  let filesPromise = null;
+  const projectFiles = () => {
+    if (!filesPromise) {
+      filesPromise = getAllCodeFiles(root, null, new Set(), config).then(files => new Set(files));
+    }
+    return filesPromise;
+  };
+
+  const resolveInRoot = (relativePath = '.') => {
+    const fullPath = path.resolve(root, String(relativePath));
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new Error(`${relativePath} is outside the project`);
+    }
+    return fullPath;
+  };
+
+  const filesUnder = async (fullPath) => {
+    const files = Array.from(await projectFiles());
+    return fullPath === root ? files : files.filter(file => file === fullPath || file.startsWith(fullPath + path.sep));
+  };
+
+  const handlers = {
+    async read_file({ path: filePath, start_line: startLine = 1, end_line: endLine = null }) {
+      const fullPath = resolveInRoot(filePath);
+      if (!(await projectFiles()).has(fullPath)) {
+        throw new Error(`${filePath} is not a readable project file (it may be ignored, or not exist)`);
+      }
+      const file = await readTextFile(fullPath);
+      if (file.binary) {
+        throw new Error(`${filePath} is a binary file`);
+      }
+      const lines = file.content.replace(/\n$/, '').split('\n');
+      const first = Math.max(1, Number(startLine) || 1);
+      const last = Math.min(lines.length, Number(endLine) || lines.length, first + MAX_READ_LINES - 1);
+      const numbered = lines.slice(first - 1, last).map((line, i) => `${first + i}: ${line}`).join('\n');
+      const more = last < lines.length ? `\n[lines ${last + 1}-${lines.length} not shown]` : '';
+      return `${numbered}${more}`;
+    },
+
+    async list_directory({ path: dirPath = '.' }) {
+      const fullPath = resolveInRoot(dirPath);
+      const entries = new Set();
+      for (const file of await filesUnder(fullPath)) {
+        const [first, ...rest] = toPosixPath(path.relative(fullPath, file)).split('/');
+        entries.add(rest.length > 0 ? `${first}/` : first);
+      }
+      if (entries.size === 0) {
+        throw new Error(`${dirPath} is not a project directory, or holds no readable files`);
+      }
+      return Array.from(entries).sort().join('\n');
+    },
+
+    // Plain substrings only: a regular expression from the model could backtrack for hours
+    async search_code({ query, path: searchPath = '.' }) {
+      if (!query) {
+        throw new Error('query is required');
+      }
+      const needle = String(query).toLowerCase();
+      const matches = [];
+      for (const file of (await filesUnder(resolveInRoot(searchPath))).sort()) {
+        const text = await readTextFile(file);
+        if (text.binary) {
+          continue;
+        }
+        const lines = text.content.split('\n');
+        for (const [index, line] of lines.entries()) {
+          if (line.toLowerCase().includes(needle)) {
+            matches.push(`${toPosixPath(path.relative(root, file))}:${index + 1}: ${line.trim().slice(0, MAX_LINE_LENGTH)}`);
+            if (matches.length >= MAX_SEARCH_MATCHES) {
+              return `${matches.join('\n')}\n[stopped after ${MAX_SEARCH_MATCHES} matches]`;
+            }
+          }
+        }
+      }
+      return matches.length > 0 ? matches.join('\n') : 'No matches.';
+    },
+  };
+
+  return {
+    definitions: TOOL_DEFINITIONS,
+
+    // Failures are reported back to the model as the result rather than thrown
+    async execute({ name, arguments: args }) {
+      if (!handlers[name]) {
+        return `Error: unknown tool ${name}`;
+      }
+      try {
+        const output = truncate(await handlers[name](JSON.parse(args || '{}')));
+        if (!config.redactSecrets) {
+          return output;
+        }
+        const { content, findings } = redactSecrets(output, { allowlist: config.secretAllowlist });
+        if (findings.length > 0) {
+          warn(`Redacted ${findings.length} secret(s) from the ${name} result: ${describeFindings(findings)}`);
+        }
+        return content;
+      } catch (error) {
+        return `Error: ${error.message}`;
+      }
+    },
+  };
+}
+
+// One line naming a call, e.g. for progress output and the transcript
+export function describeToolCall({ name, arguments: args }) {
+  return `${name} ${args || '{}'}`;
+}
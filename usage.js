@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG_DIR, loadConfig } from './config.js';
+
+const LEDGER_FILE = path.join(CONFIG_DIR, 'usage.jsonl');
+const GROUPINGS = ['day', 'project', 'model', 'session'];
+
+// One JSON object per line, appended after every completed run
+export async function recordUsage(entry) {
+  await fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o755 });
+  await fs.appendFile(LEDGER_FILE, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+}
+
+export async function readLedger() {
+  let content;
+  try {
+    content = await fs.readFile(LEDGER_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Skip lines truncated by an interrupted write
+      }
+    })
+    .filter(Boolean);
+}
+
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Accepts YYYY-MM-DD, "today", or a relative span such as 7d, 2w or 3m
+export function parseSince(text) {
+  const now = new Date();
+  if (text === 'today') {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  const relative = text.match(/^(\d+)([dwm])$/);
+  if (relative) {
+    const amount = Number(relative[1]);
+    const since = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (relative[2] === 'd') since.setDate(since.getDate() - amount);
+    if (relative[2] === 'w') since.setDate(since.getDate() - amount * 7);
+    if (relative[2] === 'm') since.setMonth(since.getMonth() - amount);
+    return since;
+  }
+  const absolute = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (absolute) {
+    return new Date(Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3]));
+  }
+  throw new Error(`Invalid --since value: ${text}. Use YYYY-MM-DD, today, or a span like 7d, 2w, 3m.`);
+}
+
+function groupKey(entry, by) {
+  if (by === 'day') return localDay(new Date(entry.timestamp));
+  if (by === 'project') return entry.project || '-';
+  if (by === 'session') return `${entry.project || '-'} (${entry.session || '-'})`;
+  return entry.model || '-';
+}
+
+function emptyGroup(key) {
+  return { key, runs: 0, promptTokens: 0, completionTokens: 0, cost: 0, durationMs: 0 };
+}
+
+function addToGroup(group, entry) {
+  group.runs++;
+  group.promptTokens += entry.promptTokens || 0;
+  group.completionTokens += entry.completionTokens || 0;
+  group.cost += entry.cost || 0;
+  group.durationMs += entry.durationMs || 0;
+}
+
+function summarize(entries, by) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = groupKey(entry, by);
+    if (!groups.has(key)) {
+      groups.set(key, emptyGroup(key));
+    }
+    addToGroup(groups.get(key), entry);
+  }
+  return Array.from(groups.values()).sort((a, b) => (by === 'day' ? a.key.localeCompare(b.key) : b.cost - a.cost));
+}
+
+function sumCost(entries) {
+  return entries.reduce((total, entry) => total + (entry.cost || 0), 0);
+}
+
+// Spend so far today and this calendar month, in local time
+export async function getCurrentSpend() {
+  const entries = await readLedger();
+  const now = new Date();
+  const today = localDay(now);
+  const month = today.slice(0, 7);
+  return {
+    day: sumCost(entries.filter(entry => localDay(new Date(entry.timestamp)) === today)),
+    month: sumCost(entries.filter(entry => localDay(new Date(entry.timestamp)).startsWith(month))),
+  };
+}
+
+// Returns warnings for budgets the estimated cost would exceed, and whether config says to block.
+// pendingCost is what requests prepared alongside this one (such as a comparison's) may cost.
+export async function checkBudgets(config, estimatedCost, { pendingCost = 0 } = {}) {
+  if (config.dailyBudget === null && config.monthlyBudget === null) {
+    return { exceeded: [], block: false };
+  }
+
+  const spend = await getCurrentSpend();
+  const pending = pendingCost > 0 ? `, ~$${pendingCost.toFixed(4)} for requests about to be sent` : '';
+  const exceeded = [];
+  if (config.dailyBudget !== null && spend.day + pendingCost + estimatedCost > config.dailyBudget) {
+    exceeded.push(`daily budget $${config.dailyBudget.toFixed(2)} (spent $${spend.day.toFixed(4)} today${pending}, this request ~$${estimatedCost.toFixed(4)})`);
+  }
+  if (config.monthlyBudget !== null && spend.month + pendingCost + estimatedCost > config.monthlyBudget) {
+    exceeded.push(`monthly budget $${config.monthlyBudget.toFixed(2)} (spent $${spend.month.toFixed(4)} this month${pending}, this request ~$${estimatedCost.toFixed(4)})`);
+  }
+  return { exceeded, block: exceeded.length > 0 && config.budgetAction === 'block' };
+}
+
+export async function usageCommand(args) {
+  const byIndex = args.indexOf('--by');
+  const by = byIndex !== -1 ? args[byIndex + 1] : 'day';
+  if (!GROUPINGS.includes(by)) {
+    throw new Error(`Invalid --by value: ${by}. Use one of: ${GROUPINGS.join(', ')}`);
+  }
+  const sinceIndex = args.indexOf('--since');
+  const sinceValue = sinceIndex !== -1 ? args[sinceIndex + 1] : null;
+  if (sinceIndex !== -1 && (!sinceValue || sinceValue.startsWith('--'))) {
+    throw new Error('--since needs a value: YYYY-MM-DD, today, or a span like 7d, 2w, 3m (e.g. gb9k usage --since 7d)');
+  }
+  const since = sinceValue ? parseSince(sinceValue) : null;
+
+  const entries = (await readLedger()).filter(entry => !since || new Date(entry.timestamp) >= since);
+  const groups = summarize(entries, by);
+  const total = emptyGroup('Total');
+  entries.forEach(entry => addToGroup(total, entry));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ by, since: since ? since.toISOString() : null, groups, total }, null, 2));
+    return;
+  }
+
+  console.log(`\nUsage by ${by}${since ? ` since ${localDay(since)}` : ''}:`);
+  const keyWidth = Math.max(12, ...groups.map(group => group.key.length + 2));
+  console.log(`${by.charAt(0).toUpperCase() + by.slice(1)}`.padEnd(keyWidth) + 'Runs'.padEnd(8) + 'Input tokens'.padEnd(16) + 'Output tokens'.padEnd(16) + 'Cost');
+  for (const group of [...groups, total]) {
+    console.log(
+      group.key.padEnd(keyWidth) +
+      String(group.runs).padEnd(8) +
+      group.promptTokens.toLocaleString().padEnd(16) +
+      group.completionTokens.toLocaleString().padEnd(16) +
+      `$${group.cost.toFixed(4)}`
+    );
+  }
+
+  const config = await loadConfig();
+  if (config.dailyBudget !== null || config.monthlyBudget !== null) {
+    const spend = await getCurrentSpend();
+    console.log('\nBudgets:');
+    if (config.dailyBudget !== null) {
+      console.log(`- Today: $${spend.day.toFixed(4)} of $${config.dailyBudget.toFixed(2)}`);
+    }
+    if (config.monthlyBudget !== null) {
+      console.log(`- This month: $${spend.month.toFixed(4)} of $${config.monthlyBudget.toFixed(2)}`);
+    }
+  }
+}
@@ -1,70 +1,75 @@
 import readline from 'readline/promises';
-import os from 'os';
 import fs from 'fs/promises';
 import path from 'path';
-import fetch from 'node-fetch';
+import { createIgnoreMatcher, compilePathPatterns, matchesPathPatterns } from './ignore.js';
+import { CONFIG_DIR } from './config.js';
+import { isAttachment } from './attachments.js';
+import { PathError } from './errors.js';
 
-const CONFIG_DIR = path.join(os.homedir(), '.gb9k');
-const API_KEY_FILE = path.join(CONFIG_DIR, 'api_key');
-const MODELS_CACHE_FILE = path.join(CONFIG_DIR, 'models_cache.json');
 const MODELS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
-const VALID_EXTENSIONS = [
-  '.js', '.ts', '.jsx', '.tsx',
-  '.json', '.py', '.java', '.cpp',
-  '.c', '.cs', '.rb', '.php', '.go', '.md', '.txt'
-];
+// OpenRouter keeps the original cache file name; other providers get their own
+function modelsCacheFile(provider) {
+  return path.join(CONFIG_DIR, provider.name === 'openrouter' ? 'models_cache.json' : `models_cache_${provider.name}.json`);
+}
+
+function apiKeyFile(providerName) {
+  return path.join(CONFIG_DIR, providerName === 'openrouter' ? 'api_key' : `api_key_${providerName}`);
+}
 
-export async function fetchAndCacheModels(apiKey) {
+export async function fetchAndCacheModels(apiKey, provider, { quiet = false, warn = console.error } = {}) {
+  const cacheFile = modelsCacheFile(provider);
   try {
-    const response = await fetch('https://openrouter.ai/api/v1/models', {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': 'https://github.com/sosaysthecaptain/gb9k',
-      }
-    });
+    const models = await provider.fetchModels(apiKey);
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
+    // Local servers change their models freely, so they are never cached
+    if (provider.local) {
+      return Array.isArray(models) ? models : [];
     }
 
-    const responseData = await response.json();
-    const models = responseData.data || [];
-
     // Only cache if we have valid model data
     if (Array.isArray(models) && models.length > 0) {
       const cacheData = {
         timestamp: Date.now(),
         models
       };
-      await fs.writeFile(MODELS_CACHE_FILE, JSON.stringify(cacheData, null, 2));
-      console.debug(`Cached ${models.length} models to ${MODELS_CACHE_FILE}`); // Debug log
+      await fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o755 });
+      await fs.writeFile(cacheFile, JSON.stringify(cacheData, null, 2));
+      if (!quiet) {
+        console.debug(`Cached ${models.length} models to ${cacheFile}`); // Debug log
+      }
       return models;
     } else {
-      console.error('No valid models in API response; not caching.');
+      warn('No valid models in API response; not caching.');
       return [];
     }
   } catch (error) {
-    console.error('Error fetching models:', error.message);
+    warn(`Error fetching models: ${error.message}`);
     return [];
   }
 }
 
-export async function getModels(apiKey) {
+// refresh skips the cache; quiet keeps stdout clean for machine-readable output and warn receives
+// the errors
+export async function getModels(apiKey, provider, { refresh = false, quiet = false, warn = console.error } = {}) {
+  const cacheFile = modelsCacheFile(provider);
+  if (provider.local || refresh) {
+    return await fetchAndCacheModels(apiKey, provider, { quiet, warn });
+  }
   try {
     // Check if cache file exists
-    const cacheExists = await fs.access(MODELS_CACHE_FILE)
+    const cacheExists = await fs.access(cacheFile)
       .then(() => true)
       .catch(() => false);
 
     if (cacheExists) {
       let cacheData;
       try {
-        cacheData = JSON.parse(await fs.readFile(MODELS_CACHE_FILE, 'utf8'));
+        cacheData = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
       } catch (error) {
-        console.error('Invalid cache file; clearing cache:', error.message);
-        await fs.unlink(MODELS_CACHE_FILE).catch(() => {}); // Remove invalid cache
-        return await fetchAndCacheModels(apiKey); // Fetch fresh data
+        warn(`Invalid cache file; clearing cache: ${error.message}`);
+        await fs.unlink(cacheFile).catch(() => {}); // Remove invalid cache
+        return await fetchAndCacheModels(apiKey, provider, { quiet, warn }); // Fetch fresh data
       }
 
       // Validate cache contents
@@ -77,33 +82,68 @@ export async function getModels(apiKey) {
       ) {
         const cacheAge = Date.now() - cacheData.timestamp;
         if (cacheAge < MODELS_CACHE_TTL) {
-          console.debug(`Using cached models (${cacheData.models.length} models, age: ${cacheAge / 1000}s)`); // Debug log
+          if (!quiet) {
+            console.debug(`Using cached models (${cacheData.models.length} models, age: ${cacheAge / 1000}s)`); // Debug log
+          }
           return cacheData.models;
         }
       } else {
-        console.error('Cache is invalid or empty; clearing cache.');
-        await fs.unlink(MODELS_CACHE_FILE).catch(() => {}); // Remove invalid cache
+        warn('Cache is invalid or empty; clearing cache.');
+        await fs.unlink(cacheFile).catch(() => {}); // Remove invalid cache
       }
     }
 
     // No valid cache; fetch fresh data
-    console.debug('No valid cache found; fetching fresh models.');
-    return await fetchAndCacheModels(apiKey);
+    if (!quiet) {
+      console.debug('No valid cache found; fetching fresh models.');
+    }
+    return await fetchAndCacheModels(apiKey, provider, { quiet, warn });
   } catch (error) {
-    console.error('Error getting models:', error.message);
+    warn(`Error getting models: ${error.message}`);
     return [];
   }
 }
 
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Catalog IDs closest to a mistyped one, comparing with and without the vendor prefix
+export function findSimilarModels(id, models, limit = 3) {
+  const bare = (modelId) => modelId.slice(modelId.lastIndexOf('/') + 1).toLowerCase();
+  const query = bare(id);
+  const maxDistance = Math.max(2, Math.floor(query.length / 3));
+  return models
+    .map(model => {
+      const candidate = bare(model.id);
+      const contains = candidate.includes(query) || (candidate.length >= 4 && query.includes(candidate));
+      const score = contains ? 0 : Math.min(editDistance(query, candidate), editDistance(id.toLowerCase(), model.id.toLowerCase()));
+      return { id: model.id, score };
+    })
+    .filter(({ score }) => score <= maxDistance)
+    .sort((a, b) => a.score - b.score || a.id.length - b.id.length)
+    .slice(0, limit)
+    .map(({ id: modelId }) => modelId);
+}
+
 // Function to format pricing
 export function formatPrice(price) {
-  if (!price) return 'N/A';
+  if (price === undefined || price === null || price === '') return 'N/A';
   const pricePerToken = price * 1000; // Convert to price per 1K tokens
   return `$${pricePerToken.toFixed(3)}/1K`;
 }
 
-export async function ask_question(question, validResponses = null) {
-  const rl = readline.createInterface({
+// Pass an open readline interface to reuse it; otherwise one is created for the question
+export async function ask_question(question, validResponses = null, existingInterface = null) {
+  const rl = existingInterface || readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
@@ -116,11 +156,13 @@ export async function ask_question(question, validResponses = null) {
     }
   } while (validResponses && !validResponses.includes(response.toLowerCase()));
 
-  rl.close();
+  if (!existingInterface) {
+    rl.close();
+  }
   return response;
 }
 
-export async function set_api_key(api_key) {
+export async function set_api_key(api_key, providerName = 'openrouter') {
   if (!api_key || typeof api_key !== 'string') {
     console.log('No API key provided.');
     return;
@@ -134,16 +176,16 @@ export async function set_api_key(api_key) {
   }
 
   // Write API key to file
-  await fs.writeFile(API_KEY_FILE, api_key, {
+  await fs.writeFile(apiKeyFile(providerName), api_key, {
     mode: 0o600, // Read/write for owner only
     encoding: 'utf-8',
   });
-  console.log('API key successfully set');
+  console.log(`API key for ${providerName} successfully set`);
 }
 
-export async function get_api_key() {
+export async function get_api_key(providerName = 'openrouter') {
   try {
-    return await fs.readFile(API_KEY_FILE, 'utf8');
+    return (await fs.readFile(apiKeyFile(providerName), 'utf8')).trim();
   } catch (error) {
     if (error.code === 'ENOENT') {
       return null; // No API key set
@@ -152,78 +194,107 @@ export async function get_api_key() {
   }
 }
 
-export async function prompt_user_for_api_key() {
-  const existingKey = await get_api_key();
+export async function prompt_user_for_api_key(providerName = 'openrouter') {
+  const existingKey = await get_api_key(providerName);
   if (existingKey) {
     const lastFour = existingKey.slice(-4);
-    const overwrite = await ask_question(`API key ending in -${lastFour} already exists. Overwrite? (y/n): `, ['y', 'n']);
+    const overwrite = await ask_question(`API key for ${providerName} ending in -${lastFour} already exists. Overwrite? (y/n): `, ['y', 'n']);
     if (overwrite.toLowerCase() === 'n') {
       console.log('Operation cancelled');
       return;
     }
   }
-  const apiKey = await ask_question('Enter your API key: ');
-  await set_api_key(apiKey);
+  const apiKey = await ask_question(`Enter your ${providerName} API key: `);
+  await set_api_key(apiKey, providerName);
 }
 
-export async function getAllCodeFiles(dir, specificPaths = null, excludePaths = new Set()) {
-  let files = [];
-  const normalizedExcludePaths = Array.from(excludePaths).map(p => path.resolve(p));
-
-  if (specificPaths) {
-    for (const sp of specificPaths) {
-      const resolvedPath = path.resolve(sp);
-      if (normalizedExcludePaths.includes(resolvedPath)) {
-        continue;
-      }
+const SKIPPED_FILES = ['package-lock.json', 'yarn.lock', '.gitignore'];
 
-      const stat = await fs.stat(resolvedPath);
-      if (stat.isDirectory()) {
-        files.push(...await getAllCodeFiles(resolvedPath, null, excludePaths));
-      } else if (stat.isFile() &&
-        (VALID_EXTENSIONS.some(ext => resolvedPath.endsWith(ext)) ||
-          path.basename(resolvedPath) === 'package.json') &&
-        !path.basename(resolvedPath).startsWith('_PROMPT')) {
-        files.push(resolvedPath);
-      }
-    }
-    return files;
-  }
+function isCodeFile(name, extensions) {
+  return extensions.some(ext => name.endsWith(ext)) || name === 'package.json';
+}
 
+async function walkDirectory(dir, context) {
+  const files = [];
   const items = await fs.readdir(dir, { withFileTypes: true });
 
   for (const item of items) {
     const fullPath = path.join(dir, item.name);
 
-    if (normalizedExcludePaths.includes(fullPath)) {
+    if (matchesPathPatterns(context.exclude, fullPath, context.root)) {
       continue;
     }
 
-    if (item.isDirectory() && (
-      item.name === 'node_modules' ||
-      item.name === '.git' ||
-      item.name === 'dist' ||
-      item.name === 'build'
-    )) {
+    // .gb9k holds our own backups and metadata, so it is skipped whatever skipDirectories says
+    if (item.isDirectory() && (item.name === '.gb9k' || context.skipDirectories.includes(item.name))) {
       continue;
     }
 
-    if (item.isFile() && (
-      item.name === 'package-lock.json' ||
-      item.name === 'yarn.lock' ||
-      item.name === '.gitignore' ||
-      item.name.startsWith('_PROMPT')
-    )) {
+    if (item.isFile() && (SKIPPED_FILES.includes(item.name) || item.name.startsWith('_PROMPT'))) {
+      continue;
+    }
+
+    if (!item.isDirectory() && !item.isFile()) {
+      continue;
+    }
+
+    if (await context.ignore.isIgnored(fullPath, item.isDirectory())) {
       continue;
     }
 
     if (item.isDirectory()) {
-      files.push(...await getAllCodeFiles(fullPath, null, excludePaths));
-    } else if (VALID_EXTENSIONS.some(ext => item.name.endsWith(ext)) ||
-      item.name === 'package.json') {
+      files.push(...await walkDirectory(fullPath, context));
+    } else if (isCodeFile(item.name, context.extensions)) {
       files.push(fullPath);
     }
   }
 
   return files;
-}
\ No newline at end of file
+}
+
+// Explicitly named files bypass the ignore files; named directories are walked with them applied.
+// Images and PDFs are only picked up when named, to be sent as attachments. config supplies
+// extensions, ignore and skipDirectories.
+export async function getAllCodeFiles(dir, specificPaths, excludePaths, config, { includePatterns = [] } = {}) {
+  const root = path.resolve(dir);
+  const context = {
+    root,
+    ignore: createIgnoreMatcher(root, config.ignore),
+    exclude: compilePathPatterns(Array.from(excludePaths), root),
+    extensions: config.extensions,
+    skipDirectories: config.skipDirectories,
+  };
+
+  let files = [];
+  if (specificPaths) {
+    for (const sp of specificPaths) {
+      const resolvedPath = path.resolve(sp);
+      if (matchesPathPatterns(context.exclude, resolvedPath, root)) {
+        continue;
+      }
+
+      let stat;
+      try {
+        stat = await fs.stat(resolvedPath);
+      } catch (error) {
+        const message = error.code === 'ENOENT' ? `No such file or directory: ${sp}` : `Could not read ${sp}: ${error.message}`;
+        throw new PathError(message, { path: sp, cause: error });
+      }
+      if (stat.isDirectory()) {
+        files.push(...await walkDirectory(resolvedPath, context));
+      } else if (stat.isFile() &&
+        (isCodeFile(path.basename(resolvedPath), context.extensions) || isAttachment(resolvedPath)) &&
+        !path.basename(resolvedPath).startsWith('_PROMPT')) {
+        files.push(resolvedPath);
+      }
+    }
+  } else {
+    files = await walkDirectory(root, context);
+  }
+
+  if (includePatterns.length > 0) {
+    const include = compilePathPatterns(includePatterns, root);
+    files = files.filter(file => matchesPathPatterns(include, file, root));
+  }
+  return files;
+}
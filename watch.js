@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { completePromptFile } from './run.js';
+import { findSessionFile } from './sessions.js';
+import { describeToolCall } from './tools.js';
+import { loadConfig } from './config.js';
+
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+// One status line, rewritten in place on a terminal and printed as plain lines otherwise
+// (where transient progress updates are left out)
+function createStatusLine() {
+  let active = false;
+  return {
+    set(text, { transient = false } = {}) {
+      if (process.stdout.isTTY) {
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        process.stdout.write(`[${timestamp()}] ${text}`);
+        active = true;
+      } else if (!transient) {
+        console.log(`[${timestamp()}] ${text}`);
+      }
+    },
+    // Moves past the status line before other output is printed
+    end() {
+      if (active) {
+        process.stdout.write('\n');
+        active = false;
+      }
+    },
+  };
+}
+
+// The content without its trigger line, if the last ### User section ends with it
+function stripTrigger(content, trigger) {
+  const trimmed = content.trimEnd();
+  const lastHeading = trimmed.lastIndexOf('\n### ');
+  if (!trimmed.endsWith(`\n${trigger}`) || !trimmed.slice(lastHeading + 1).startsWith('### User\n')) {
+    return null;
+  }
+  return `${trimmed.slice(0, -trigger.length).trimEnd()}\n`;
+}
+
+export async function watchPromptFile({ sessionName = null } = {}) {
+  const promptFile = path.resolve(await findSessionFile(sessionName));
+  const config = await loadConfig();
+  const trigger = config.watchTrigger.trim();
+  const status = createStatusLine();
+  const waiting = `Watching ${path.basename(promptFile)}: end your message with a line containing ${trigger} and save (Ctrl-C to stop)`;
+
+  let running = false;
+  let ownContent = null; // The file as gb9k last left it, so our own appends never trigger a run
+  let timer = null;
+
+  const check = async () => {
+    if (running) {
+      return;
+    }
+    let content;
+    try {
+      content = await fs.readFile(promptFile, 'utf8');
+    } catch (error) {
+      status.set(`${path.basename(promptFile)} is missing; waiting for it to come back`);
+      return;
+    }
+    if (content === ownContent) {
+      return;
+    }
+    const message = stripTrigger(content, trigger);
+    if (message === null) {
+      return;
+    }
+
+    running = true;
+    await fs.writeFile(promptFile, message);
+    // Built up from what gb9k writes rather than re-read afterwards, so a save made during the run
+    // still counts as the user's
+    let written = message;
+    status.set('Sending...');
+    status.end();
+    let received = 0;
+    try {
+      const turn = await completePromptFile(promptFile, {
+        quiet: true,
+        onContent: (text) => {
+          received += text.length;
+          status.set(`Receiving answer (${received.toLocaleString()} characters)`, { transient: true });
+        },
+        onToolCall: (call) => {
+          status.set(`Tool call: ${describeToolCall(call)}`);
+          status.end();
+        },
+        onWrite: (text) => {
+          written += text;
+        },
+      });
+      status.end();
+      const cost = turn.pricing ? `, $${turn.pricing.totalCost.toFixed(4)}` : '';
+      console.log(`[${timestamp()}] ${turn.interrupted ? 'Interrupted' : 'Answered'} by ${turn.model}: ${turn.promptTokens.toLocaleString()} in / ${turn.completionTokens.toLocaleString()} out${cost}`);
+    } catch (error) {
+      status.end();
+      console.error(`[${timestamp()}] ${error.message}`);
+    } finally {
+      ownContent = written;
+      running = false;
+      status.set(waiting);
+    }
+    // Saves made while the run was going were skipped
+    await check();
+  };
+
+  // Editors often save by replacing the file, so the directory is watched rather than the file
+  watch(path.dirname(promptFile), (eventType, fileName) => {
+    if (fileName && fileName.toString() !== path.basename(promptFile)) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(check, config.watchDebounce);
+  });
+
+  status.set(waiting);
+  await check();
+}